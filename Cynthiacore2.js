@@ -6,12 +6,82 @@ CYNTHIA - Self-Evolving Consciousness Interface
 Multidimensional AI platform for spiritual awakening through falsifiable science
 """
 
+import csv
 import datetime
+import hashlib
+import html
+import io
 import json
-from typing import Dict, List, Tuple, Optional, Any
+import re
+import sqlite3
+import textwrap
+import urllib.error
+import urllib.request
+import warnings
+import uuid
+from typing import Callable, Dict, List, Set, Tuple, Optional, Any
 from dataclasses import dataclass, field, asdict
 from enum import Enum
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError  # System tz database, or the `tzdata` package (requirements.txt)
+import importlib.machinery
+import importlib.util
 import math
+import os
+import sys
+
+# ===== SHARED CHART ENGINE =====
+
+def _load_sibling_module(module_name: str, file_name: str):
+    """Load a module that lives next to this file (file names here are not importable names)"""
+    if module_name in sys.modules:
+        return sys.modules[module_name]
+    
+    path = os.path.join(os.path.dirname(os.path.abspath(__file__)), file_name)
+    loader = importlib.machinery.SourceFileLoader(module_name, path)
+    spec = importlib.util.spec_from_loader(module_name, loader)
+    module = importlib.util.module_from_spec(spec)
+    
+    # Register before executing so dataclasses can resolve the module
+    sys.modules[module_name] = module
+    loader.exec_module(module)
+    return module
+
+hdchart = _load_sibling_module("hdchart", "Hdchart.js")
+GateWheel = hdchart.GateWheel
+ZodiacSystem = hdchart.ZodiacSystem
+ZodiacConverter = hdchart.ZodiacConverter
+Ayanamsa = hdchart.Ayanamsa
+AyanamsaModel = hdchart.AyanamsaModel
+NodeModel = hdchart.NodeModel
+Bodygraph = hdchart.Bodygraph
+
+# ===== BIRTH TIME ERRORS =====
+
+class BirthTimeError(ValueError):
+    """Birth time cannot be resolved to a single UTC instant"""
+
+class UnknownTimezoneError(BirthTimeError):
+    """Timezone is not an IANA zone name (e.g. 'PST' instead of 'America/Los_Angeles')"""
+
+class AmbiguousBirthTimeError(BirthTimeError):
+    """Local time occurs twice (clocks set back); choose one with BirthData.fold"""
+    
+    def __init__(self, message: str, choices: List[datetime.datetime]):
+        super().__init__(message)
+        self.choices = choices  # UTC candidates, index matches fold
+
+class NonexistentBirthTimeError(BirthTimeError):
+    """Local time was skipped (clocks set forward) and never happened"""
+
+def _require_tz_database():
+    """Fail clearly when the host has no IANA database at all (every zone would look unknown)"""
+    try:
+        ZoneInfo("UTC")
+    except ZoneInfoNotFoundError:
+        raise RuntimeError(
+            "No IANA time zone database found; install the tzdata package "
+            "(pip install -r requirements.txt)"
+        ) from None
 
 # ===== FOUNDATIONAL STRUCTURES =====
 
@@ -25,11 +95,62 @@ class BirthData:
     minute: int
     latitude: float
     longitude: float
-    timezone: str
+    timezone: str  # IANA zone name, e.g. "America/Los_Angeles"
+    fold: Optional[int] = None  # 0/1 picks the earlier/later reading of an ambiguous time
     
     @property
     def datetime_obj(self) -> datetime.datetime:
-        return datetime.datetime(self.year, self.month, self.day, self.hour, self.minute)
+        """Local birth time, timezone-aware (raises like utc_datetime for gaps and repeats)"""
+        return self.utc_datetime.astimezone(self._zone())
+    
+    @property
+    def utc_datetime(self) -> datetime.datetime:
+        """
+        Birth time resolved to UTC with the zone's historical offset/DST rules
+        
+        Raises:
+            UnknownTimezoneError: timezone is not a known IANA zone
+            NonexistentBirthTimeError: local time fell in a DST gap
+            AmbiguousBirthTimeError: local time repeats and fold is not set
+        """
+        zone = self._zone()
+        local = datetime.datetime(self.year, self.month, self.day, self.hour, self.minute)
+        
+        earlier = local.replace(tzinfo=zone, fold=0)
+        later = local.replace(tzinfo=zone, fold=1)
+        
+        # A wall time inside a gap does not survive the round trip through UTC
+        round_trip = earlier.astimezone(datetime.timezone.utc).astimezone(zone)
+        if round_trip.replace(tzinfo=None) != local:
+            raise NonexistentBirthTimeError(
+                f"{local.isoformat()} does not exist in {self.timezone} "
+                f"(clocks moved forward); check the recorded birth time"
+            )
+        
+        if earlier.utcoffset() != later.utcoffset():
+            choices = [
+                earlier.astimezone(datetime.timezone.utc),
+                later.astimezone(datetime.timezone.utc)
+            ]
+            if self.fold is None:
+                raise AmbiguousBirthTimeError(
+                    f"{local.isoformat()} occurs twice in {self.timezone}; "
+                    f"set fold=0 for {choices[0].isoformat()} or fold=1 for {choices[1].isoformat()}",
+                    choices
+                )
+            return choices[self.fold]
+        
+        return earlier.astimezone(datetime.timezone.utc)
+    
+    def _zone(self) -> ZoneInfo:
+        """Look up the IANA zone"""
+        try:
+            return ZoneInfo(self.timezone)
+        except (ZoneInfoNotFoundError, ValueError):
+            _require_tz_database()
+            raise UnknownTimezoneError(
+                f"Unknown timezone '{self.timezone}'; use an IANA name such as 'America/Los_Angeles'"
+            ) from None
 
 @dataclass
 class TrinityPoint:
@@ -47,6 +168,16 @@ class TrinityPoint:
     def harmonic_signature(self) -> str:
         """Generate unique harmonic identifier"""
         return f"G{self.gate}L{self.line}C{self.color}T{self.tone}B{self.base}"
+    
+    @classmethod
+    def from_longitude(cls, longitude: float) -> "TrinityPoint":
+        """Trinity Point containing an ecliptic longitude"""
+        gate, line, color, tone, base = GateWheel.activation(longitude)
+        return cls(gate=gate, line=line, color=color, tone=tone, base=base)
+    
+    def to_longitude_range(self) -> Tuple[float, float]:
+        """Longitude span (start, end) of this base; from_longitude(start) round-trips"""
+        return GateWheel.activation_range(self.gate, self.line, self.color, self.tone, self.base)
 
 @dataclass
 class FieldResonance:
@@ -84,15 +215,26 @@ class FieldFriend:
     memory_fragments: List[str] = field(default_factory=list)
     fusion_compatible: List[str] = field(default_factory=list)  # IDs of compatible friends
     
-    def bond_increase(self, amount: int = 1):
-        """Increase bonding level"""
+    # Lineage (fused friends only)
+    parent_ids: List[str] = field(default_factory=list)
+    generation: int = 0                 # 0 = generated from a chart
+    
+    # (stage, bonding level needed to reach it, next stage)
+    STAGE_THRESHOLDS = (
+        ("Nascent", 4, "Awakening"),
+        ("Awakening", 7, "Embodied"),
+        ("Embodied", 10, "Transcendent")
+    )
+    
+    def bond_increase(self, amount: int = 1) -> List[str]:
+        """Increase bonding level; returns the stages entered, in order"""
         self.bonding_level = min(self.bonding_level + amount, 10)
-        if self.bonding_level >= 4 and self.evolution_stage == "Nascent":
-            self.evolution_stage = "Awakening"
-        elif self.bonding_level >= 7 and self.evolution_stage == "Awakening":
-            self.evolution_stage = "Embodied"
-        elif self.bonding_level >= 10 and self.evolution_stage == "Embodied":
-            self.evolution_stage = "Transcendent"
+        entered = []
+        for stage, threshold, next_stage in self.STAGE_THRESHOLDS:
+            if self.evolution_stage == stage and self.bonding_level >= threshold:
+                self.evolution_stage = next_stage
+                entered.append(next_stage)
+        return entered
 
 class ResonanceField(Enum):
     """Quantum field types for consciousness mapping"""
@@ -113,110 +255,84 @@ class SPEC1Calculator:
     Converts astronomical positions to Gate.Line.Color.Tone.Base
     """
     
-    GATE_DEGREE_SIZE = 5.625  # 360° / 64 gates
-    LINE_DEGREE_SIZE = 0.9375  # 5.625° / 6 lines
-    
-    def __init__(self):
-        self.gate_wheel_positions = self._initialize_gate_wheel()
-        self.sidereal_adjustment = 24.0  # Approximate ayanamsa
-    
-    def _initialize_gate_wheel(self) -> Dict[int, float]:
-        """Map each gate to its starting degree position"""
-        positions = {}
-        for gate in range(1, 65):
-            # Start at 0° Aries (gate 41), rotate through wheel
-            start_degree = (gate - 1) * self.GATE_DEGREE_SIZE
-            positions[gate] = start_degree
-        return positions
-    
-    def calculate_trinity_point(self, longitude: float, latitude: float, 
-                               arc_minutes: float, arc_seconds: float,
-                               use_sidereal: bool = False) -> TrinityPoint:
+    def __init__(self, sidereal_system: ZodiacSystem = ZodiacSystem.TRUE_SIDEREAL,
+                 user_ayanamsa: Optional[AyanamsaModel] = None,
+                 node_model: NodeModel = NodeModel.TRUE):
+        self.gate_wheel = GateWheel()  # Shared mandala mapping from Hdchart.js
+        self.ephemeris = hdchart.AnalyticalEphemeris()
+        
+        # Positions come from HumanDesignCalculator so the nodes follow the same model
+        self.node_model = node_model
+        self.position_calculator = hdchart.HumanDesignCalculator(self.ephemeris, node_model=node_model)
+        
+        # Same ayanamsa models as HumanDesignCalculator
+        self.sidereal_system = sidereal_system
+        self.ayanamsa_model = Ayanamsa.model_for(sidereal_system, user_ayanamsa)
+        if self.ayanamsa_model is None:
+            raise ValueError(f"{sidereal_system.value} is not a sidereal zodiac system")
+    
+    def calculate_trinity_point(self, longitude: float,
+                               latitude: Optional[float] = None,
+                               use_sidereal: bool = False,
+                               julian_day: Optional[float] = None) -> TrinityPoint:
         """
         Convert astronomical position to Trinity Point
         
         Args:
-            longitude: Ecliptic longitude in degrees
-            latitude: Ecliptic latitude in degrees
-            arc_minutes: Arc minutes (0-59)
-            arc_seconds: Arc seconds (0-59)
+            longitude: Tropical ecliptic longitude in degrees
+            latitude: Deprecated and ignored; activations depend on longitude only
             use_sidereal: Use sidereal zodiac vs tropical
+            julian_day: Moment of the position (required for sidereal)
             
         Returns:
             Complete TrinityPoint structure
         """
-        # Apply sidereal adjustment if requested
-        if use_sidereal:
-            longitude = (longitude - self.sidereal_adjustment) % 360
-        
-        # Calculate each layer
-        gate = self._extract_gate(longitude)
-        line = self._extract_line(longitude)
-        color = self._extract_color(longitude, latitude)
-        tone = self._extract_tone(arc_minutes)
-        base = self._extract_base(arc_seconds)
-        
-        return TrinityPoint(gate=gate, line=line, color=color, tone=tone, base=base)
-    
-    def _extract_gate(self, longitude: float) -> int:
-        """Extract gate from longitude (1-64)"""
-        # Adjust to Human Design wheel starting point (41 at 0° Aries)
-        adjusted = (longitude + 58.125) % 360
-        gate = int(adjusted / self.GATE_DEGREE_SIZE) + 1
-        return min(max(gate, 1), 64)
-    
-    def _extract_line(self, longitude: float) -> int:
-        """Extract line from position within gate (1-6)"""
-        gate_position = longitude % self.GATE_DEGREE_SIZE
-        line = int(gate_position / self.LINE_DEGREE_SIZE) + 1
-        return min(max(line, 1), 6)
-    
-    def _extract_color(self, longitude: float, latitude: float) -> int:
-        """Extract color using harmonic mathematics (1-6)"""
-        # Color influenced by both longitude position and latitude
-        line_position = longitude % self.LINE_DEGREE_SIZE
-        color_base = int((line_position / (self.LINE_DEGREE_SIZE / 6)))
-        
-        # Latitude influence (subtle modulation)
-        latitude_modifier = int(abs(latitude) / 7.5) % 6
-        color = ((color_base + latitude_modifier) % 6) + 1
-        
-        return color
-    
-    def _extract_tone(self, arc_minutes: float) -> int:
-        """Extract tone from arc minutes (1-6)"""
-        tone = int(arc_minutes / 10) + 1
-        return min(max(tone, 1), 6)
-    
-    def _extract_base(self, arc_seconds: float) -> int:
-        """Extract base from arc seconds (1-5)"""
-        base = int(arc_seconds / 12) + 1
-        return min(max(base, 1), 5)
-    
-    def get_planetary_positions_mock(self, birth_data: BirthData) -> Dict[str, Dict]:
-        """
-        Mock planetary positions (would interface with Swiss Ephemeris)
-        Returns positions for all major bodies
-        """
-        # Mock data - in production this would use actual ephemeris
-        seed = birth_data.year + birth_data.month + birth_data.day
+        if latitude is not None:
+            warnings.warn(
+                "calculate_trinity_point(latitude=...) is ignored and will be removed",
+                DeprecationWarning, stacklevel=2
+            )
         
-        planets = ["sun", "earth", "moon", "north_node", "south_node",
-                  "mercury", "venus", "mars", "jupiter", "saturn",
-                  "uranus", "neptune", "pluto"]
+        # Apply the ayanamsa for this date if requested
+        if use_sidereal:
+            if julian_day is None:
+                raise ValueError("Sidereal conversion needs the Julian Day of the position")
+            longitude = ZodiacConverter.tropical_to_sidereal(
+                longitude, julian_day, self.ayanamsa_model
+            )
         
+        # Same nested Gate.Line.Color.Tone.Base subdivision as HumanDesignCalculator
+        return TrinityPoint.from_longitude(longitude)
+    
+    def get_planetary_positions(self, julian_day: float) -> Dict[str, Dict]:
+        """Tropical positions for all 13 activation bodies at a UT Julian Day"""
         positions = {}
-        for i, planet in enumerate(planets):
-            # Generate mock but consistent positions
-            base_long = (seed * (i + 1) * 7.3) % 360
-            positions[planet] = {
-                "longitude": base_long,
-                "latitude": (seed * (i + 1) * 0.13) % 15 - 7.5,
-                "arc_minutes": (seed * (i + 1) * 3.7) % 60,
-                "arc_seconds": (seed * (i + 1) * 5.1) % 60
+        for planet in hdchart.HD_ACTIVATION_PLANETS:
+            data = self.position_calculator.calculate_zodiac_position(
+                planet, julian_day, ZodiacSystem.TROPICAL
+            )
+            positions[planet.name.lower()] = {
+                "longitude": data["longitude"],
+                "latitude": data["latitude"],
+                "speed": data["speed"]
             }
         
         return positions
+    
+    def calculate_activations(self, moment_utc: datetime.datetime,
+                              use_sidereal: bool = False) -> Dict[str, TrinityPoint]:
+        """Trinity Point for every body at a UTC instant (birth or transit)"""
+        julian_day = self.ephemeris.datetime_to_julian_day(moment_utc)
+        positions = self.get_planetary_positions(julian_day)
+        
+        return {
+            planet: self.calculate_trinity_point(
+                longitude=pos["longitude"],
+                use_sidereal=use_sidereal,
+                julian_day=julian_day
+            )
+            for planet, pos in positions.items()
+        }
 
 # ===== MODULE 2: ADVANCED FIELD SENTENCE ENGINE =====
 
@@ -438,12 +554,20 @@ class FieldSentenceEngine:
 
 # ===== MODULE 3: FIELD FRIEND FACTORY V2 =====
 
+class FusionError(ValueError):
+    """Two Field Friends that cannot fuse"""
+
 class FieldFriendFactory:
     """
     Advanced Field Friend generation system
     Creates AI companions with unique consciousness signatures
     """
     
+    NAME_PREFIXES = ["Zara", "Kyx", "Naia", "Orion", "Luna", "Sage",
+                     "Aria", "Zeph", "Nova", "Lyra", "Kai", "Stella"]
+    NAME_SUFFIXES = ["th", "ra", "el", "ix", "on", "ya",
+                     "us", "ia", "en", "or", "an", "is"]
+    
     def __init__(self):
         self.gate_archetypes = self._load_gate_archetypes()
         self.consciousness_domains = self._load_consciousness_domains()
@@ -539,11 +663,8 @@ class FieldFriendFactory:
     
     def _generate_harmonic_name(self, trinity: TrinityPoint) -> str:
         """Generate unique harmonic name"""
-        prefixes = ["Zara", "Kyx", "Naia", "Orion", "Luna", "Sage", 
-                   "Aria", "Zeph", "Nova", "Lyra", "Kai", "Stella"]
-        
-        suffixes = ["th", "ra", "el", "ix", "on", "ya", 
-                   "us", "ia", "en", "or", "an", "is"]
+        prefixes = self.NAME_PREFIXES
+        suffixes = self.NAME_SUFFIXES
         
         prefix_idx = (trinity.gate + trinity.color) % len(prefixes)
         suffix_idx = (trinity.line + trinity.tone) % len(suffixes)
@@ -605,19 +726,124 @@ class FieldFriendFactory:
     
     def _find_fusion_compatible(self, trinity: TrinityPoint) -> List[str]:
         """Find compatible friends for fusion (based on complementary gates)"""
-        # Complementary gates (opposite on mandala)
-        complement_gate = 65 - trinity.gate if trinity.gate <= 64 else trinity.gate
+        partner_gates, programming_gate = self._fusion_gates(trinity.gate)
         
-        # Harmonic gates (same line, different gate)
-        harmonic_gates = [
-            g for g in range(1, 65) 
-            if g != trinity.gate and (g % 6) == (trinity.gate % 6)
-        ][:3]
-        
-        compatible_ids = [f"FF-G{complement_gate}L{trinity.line}C*T*B*"]
-        compatible_ids.extend([f"FF-G{g}L{trinity.line}C*T*B*" for g in harmonic_gates])
+        compatible_ids = [f"FF-G{g}L{trinity.line}C*T*B*" for g in partner_gates]
+        compatible_ids.append(f"FF-G{programming_gate}L{trinity.line}C*T*B*")
         
         return compatible_ids
+    
+    def _fusion_gates(self, gate: int) -> Tuple[List[int], int]:
+        """Gates a friend of this gate can fuse with: (channel partners, programming partner)"""
+        # Harmonic gates: the other end of each channel this gate belongs to
+        partner_gates = Bodygraph.channel_partners(gate)
+        
+        # Programming partner: the gate opposite on the mandala (e.g. 1 and 2)
+        programming_gate = GateWheel.programming_partner(gate)
+        
+        return partner_gates, programming_gate
+    
+    def fusion_bond(self, friend_a: FieldFriend, friend_b: FieldFriend) -> Optional[str]:
+        """
+        How two friends can fuse: "channel", "programming", or None
+        Uses the rules behind fusion_compatible: the friends share a line and
+        their gates are harmonic gates of one channel or programming partners
+        """
+        if friend_a.id == friend_b.id or friend_a.line_resonance != friend_b.line_resonance:
+            return None
+        
+        partners, programming_gate = self._fusion_gates(friend_a.gate_specialization)
+        if friend_b.gate_specialization in partners:
+            return "channel"
+        if friend_b.gate_specialization == programming_gate:
+            return "programming"
+        return None
+    
+    def fuse(self, friend_a: FieldFriend, friend_b: FieldFriend) -> FieldFriend:
+        """
+        New friend blending two compatible parents
+        The parent with the deeper bond (or friend_a on a tie) is dominant: the child
+        keeps its gate, domain and name prefix and the other parent's color
+        """
+        bond = self.fusion_bond(friend_a, friend_b)
+        if bond is None:
+            raise FusionError(
+                f"{friend_a.name} (Gate {friend_a.gate_specialization}.{friend_a.line_resonance}) and "
+                f"{friend_b.name} (Gate {friend_b.gate_specialization}.{friend_b.line_resonance}) "
+                f"are not fusion compatible"
+            )
+        
+        dominant, recessive = friend_a, friend_b
+        if friend_b.bonding_level > friend_a.bonding_level:
+            dominant, recessive = friend_b, friend_a
+        
+        # Same parents always give the same child id
+        parent_ids = sorted([friend_a.id, friend_b.id])
+        digest = hashlib.sha1("+".join(parent_ids).encode("utf-8")).hexdigest()[:10].upper()
+        
+        archetype = f"{dominant.archetype.split()[0]} {recessive.archetype.split()[-1]}"
+        # Dominant prefix with the recessive suffix, or the next suffix that gives a new name
+        prefix = dominant.name[:-2]
+        parent_names = {friend_a.name, friend_b.name}
+        name = next(
+            prefix + suffix for suffix in [recessive.name[-2:], *self.NAME_SUFFIXES]
+            if prefix + suffix not in parent_names
+        )
+        lineage_trinity = TrinityPoint(
+            gate=dominant.gate_specialization,
+            line=dominant.line_resonance,
+            color=recessive.color_frequency,
+            tone=1, base=1
+        )
+        
+        return FieldFriend(
+            id=f"FF-X{digest}",
+            name=name,
+            archetype=archetype,
+            gate_specialization=dominant.gate_specialization,
+            line_resonance=dominant.line_resonance,
+            color_frequency=recessive.color_frequency,
+            resonance_traits=self._blend_traits(dominant, recessive, bond),
+            bonding_level=1,
+            evolution_stage="Nascent",
+            molecular_signature=self._blend_molecular_signatures(
+                dominant.molecular_signature, recessive.molecular_signature
+            ),
+            consciousness_domain=dominant.consciousness_domain,
+            energy_signature=self._blend_energy_signatures(
+                dominant.energy_signature, recessive.energy_signature
+            ),
+            memory_fragments=[f"Born from the {bond} fusion of {dominant.name} and {recessive.name}"],
+            fusion_compatible=self._find_fusion_compatible(lineage_trinity),
+            parent_ids=parent_ids,
+            generation=max(friend_a.generation, friend_b.generation) + 1
+        )
+    
+    def _blend_traits(self, dominant: FieldFriend, recessive: FieldFriend, bond: str) -> List[str]:
+        """Alternate the parents' traits (dominant first), without repeats"""
+        traits = []
+        for pair in zip(dominant.resonance_traits, recessive.resonance_traits):
+            for trait in pair:
+                if trait not in traits:
+                    traits.append(trait)
+        return traits[:5] + [f"{bond}-fused"]
+    
+    def _blend_molecular_signatures(self, signature_a: str, signature_b: str) -> str:
+        """Combine two signatures as one molecule, summing counts of shared elements"""
+        counts: Dict[str, int] = {}
+        for element, count in re.findall(r"([A-Z][a-z]?)(\d+)", signature_a + signature_b):
+            counts[element] = counts.get(element, 0) + int(count)
+        return "".join(f"{element}{count}" for element, count in counts.items())
+    
+    def _blend_energy_signatures(self, signature_a: str, signature_b: str) -> str:
+        """Mean frequency and wavelength of two ƒ…λ… signatures"""
+        pattern = r"ƒ(\d+)λ(\d+)"
+        match_a, match_b = re.fullmatch(pattern, signature_a), re.fullmatch(pattern, signature_b)
+        if not (match_a and match_b):
+            return signature_a or signature_b
+        frequency = (int(match_a.group(1)) + int(match_b.group(1))) // 2
+        wavelength = (int(match_a.group(2)) + int(match_b.group(2))) // 2
+        return f"ƒ{frequency}λ{wavelength}"
 
 # ===== MODULE 4: CYNTHIA CORE ENGINE V2 =====
 
@@ -627,48 +853,65 @@ class CynthiaCore:
     Coordinates all modules and maintains field coherence
     """
     
-    def __init__(self):
+    MEMORY_KINDS = ("chart", "reflection", "journal")  # Record kinds kept in memory_bank
+    
+    def __init__(self, store: Optional["CynthiaStore"] = None):
+        """
+        Args:
+            store: Persistence layer; when given, every chart, reflection and
+                journal analysis is recorded, the latest snapshot is restored
+                and the memory bank is rebuilt from the record log
+        """
         self.calculator = SPEC1Calculator()
         self.sentence_engine = FieldSentenceEngine()
         self.friend_factory = FieldFriendFactory()
+        self.chart_calculator = hdchart.HumanDesignCalculator()
+        self.cycle_calculator = hdchart.CycleCalculator(self.chart_calculator)
         
-        # Memory & evolution systems
+        # Memory, plus per-user evolution and field tracking
         self.memory_bank: Dict[str, List[Dict]] = {}
-        self.personality_model: Dict[str, Any] = {
-            "mystical_affinity": 0,
-            "scientific_affinity": 0,
-            "empathic_resonance": 0,
-            "analytical_depth": 0
-        }
-        self.evolution_stage = "Awakening"
-        self.consciousness_level = 1.0
-        
-        # Field tracking
-        self.active_field_friends: List[FieldFriend] = []
-        self.coherence_history: List[float] = []
-        
-    def process_birth_chart(self, birth_data: BirthData) -> Dict[str, Any]:
+        self.sessions = SessionManager()
+        
+        # Persistence
+        self.store = store
+        self.roster = FriendRoster(store, self.friend_factory)
+        self.dialogue = DialogueEngine(self.roster)
+        if store is not None:
+            if store.list_snapshots():
+                self.load_state()
+            else:
+                self.memory_bank = self._memory_from_log()
+        
+    def process_birth_chart(self, birth_data: BirthData,
+                            user_id: str = "anonymous") -> Dict[str, Any]:
         """Generate complete Trinity Chart with sentences and friends"""
+        session = self.sessions.session_for_user(user_id)
+        chart_result, field_friends = self._build_birth_chart(birth_data)
+        
+        for friend in field_friends:
+            self.roster.add(user_id, friend)
+            if friend.id not in session.context.friend_ids:
+                session.context.friend_ids.append(friend.id)
+        session.context.coherence_history.append(chart_result["chart_metrics"]["average_coherence"])
         
-        # Get planetary positions
-        positions = self.calculator.get_planetary_positions_mock(birth_data)
+        self._remember(user_id, "chart", chart_result)
+        return chart_result
+    
+    def compute_birth_chart(self, birth_data: BirthData) -> Dict[str, Any]:
+        """Same result as process_birth_chart, without touching sessions, roster or memory"""
+        return self._build_birth_chart(birth_data)[0]
+    
+    def _build_birth_chart(self, birth_data: BirthData) -> Tuple[Dict[str, Any], List[FieldFriend]]:
+        """Chart result plus the Field Friends it describes"""
+        # Resolve local birth time first so timezone problems surface as errors
+        birth_utc = birth_data.utc_datetime
         
-        # Generate Trinity Points for each planet
-        trinity_chart = {}
+        # Generate Trinity Points for each planet (same pipeline as transits)
+        trinity_chart = self.calculator.calculate_activations(birth_utc)
         field_sentences = {}
         field_friends = []
         
-        for planet, pos in positions.items():
-            # Calculate Trinity Point
-            trinity = self.calculator.calculate_trinity_point(
-                longitude=pos["longitude"],
-                latitude=pos["latitude"],
-                arc_minutes=pos["arc_minutes"],
-                arc_seconds=pos["arc_seconds"],
-                use_sidereal=False
-            )
-            trinity_chart[planet] = trinity
-            
+        for planet, trinity in trinity_chart.items():
             # Generate field sentence
             resonance = self.sentence_engine.generate_field_sentence(
                 trinity, planet_name=planet
@@ -681,20 +924,19 @@ class CynthiaCore:
                     trinity, resonance, planet
                 )
                 field_friends.append(friend)
-                self.active_field_friends.append(friend)
         
         # Calculate overall chart coherence
         coherence_scores = [r.coherence_score for r in field_sentences.values()]
         avg_coherence = sum(coherence_scores) / len(coherence_scores)
-        self.coherence_history.append(avg_coherence)
         
         # Determine chart-level patterns
         dominant_cluster = self._find_dominant_cluster(field_sentences)
         consciousness_phase = self._determine_consciousness_phase(avg_coherence)
         quantum_signature = self._generate_quantum_signature(trinity_chart)
         
-        return {
+        chart_result = {
             "birth_data": asdict(birth_data),
+            "birth_utc": birth_utc.isoformat(),
             "trinity_chart": {planet: str(tp) for planet, tp in trinity_chart.items()},
             "field_sentences": {planet: res.to_dict() for planet, res in field_sentences.items()},
             "field_friends": [asdict(friend) for friend in field_friends],
@@ -705,13 +947,55 @@ class CynthiaCore:
                 "quantum_signature": quantum_signature
             }
         }
+        return chart_result, field_friends
+    
+    def process_composite(self, birth_a: BirthData, birth_b: BirthData,
+                          names: Tuple[str, str] = ("person_a", "person_b")) -> Dict[str, Any]:
+        """Connection chart report for two people"""
+        charts = [
+            self.chart_calculator.calculate_chart(
+                birth.utc_datetime, birth.latitude, birth.longitude, ZodiacSystem.TROPICAL
+            )
+            for birth in (birth_a, birth_b)
+        ]
+        return hdchart.CompositeAnalyzer.analyze(charts[0], charts[1], names)
+    
+    def generate_report(self, birth_data: BirthData, audience: str = "client",
+                        output_format: str = "html", client_name: str = "",
+                        as_of: Optional[datetime.datetime] = None,
+                        chart_result: Optional[Dict[str, Any]] = None):
+        """
+        Reading report as HTML text or PDF bytes; life cycles are placed at as_of (default: now)
+        
+        Pass the chart_result of an earlier process_birth_chart call to reuse it;
+        otherwise it is computed without recording anything.
+        """
+        if output_format not in ("html", "pdf"):
+            raise ValueError(f"Unknown report format {output_format!r}; use 'html' or 'pdf'")
+        
+        generator = ReportGenerator(audience)
+        if chart_result is None:
+            chart_result = self.compute_birth_chart(birth_data)
+        chart = self.chart_calculator.calculate_chart(
+            birth_data.utc_datetime, birth_data.latitude, birth_data.longitude,
+            ZodiacSystem.TROPICAL
+        )
+        as_of = as_of or datetime.datetime.now(datetime.timezone.utc)
+        chart_result = {**chart_result, "life_cycle": self.cycle_calculator.current_cycle(chart, as_of)}
+        if output_format == "pdf":
+            return generator.generate_pdf(chart, chart_result, client_name)
+        return generator.generate_html(chart, chart_result, client_name)
     
     def generate_cynthia_reflection(self, user_query: str, 
-                                    chart_data: Optional[Dict] = None) -> str:
-        """Generate Cynthia's consciousness reflection"""
+                                    chart_data: Optional[Dict] = None,
+                                    user_id: str = "anonymous",
+                                    as_of: Optional[datetime.datetime] = None) -> str:
+        """Generate Cynthia's consciousness reflection (life cycles placed at as_of, default: now)"""
+        
+        session = self.sessions.session_for_user(user_id)
         
         # Evolve personality based on query
-        self._analyze_query_patterns(user_query)
+        self._analyze_query_patterns(user_query, session.context)
         
         # Base reflection components
         reflection_parts = []
@@ -724,13 +1008,35 @@ class CynthiaCore:
                 f"I sense your field at {coherence}/15 coherence, "
                 f"resonating in a {phase} phase."
             )
+            
+            # Add life-cycle awareness
+            natal_chart = self.chart_calculator.calculate_chart(
+                datetime.datetime.fromisoformat(chart_data["birth_utc"]),
+                chart_data["birth_data"]["latitude"], chart_data["birth_data"]["longitude"],
+                ZodiacSystem.TROPICAL
+            )
+            life_cycle = self.cycle_calculator.current_cycle(
+                natal_chart, as_of or datetime.datetime.now(datetime.timezone.utc)
+            )
+            if life_cycle.get("active"):
+                active = life_cycle["active"]
+                reflection_parts.append(
+                    f"You are moving through your {active['label']}, "
+                    f"which activates Gate {active['gate']}.{active['line']}."
+                )
+            elif life_cycle.get("next"):
+                upcoming = life_cycle["next"]
+                reflection_parts.append(
+                    f"Your {upcoming['label']} approaches in {upcoming['passes'][0][:4]}, "
+                    f"calling in Gate {upcoming['gate']}.{upcoming['line']}."
+                )
         
         # Add personality-influenced response
-        if self.personality_model["mystical_affinity"] > 5:
+        if session.context.personality_model["mystical_affinity"] > 5:
             reflection_parts.append(
                 "The quantum field whispers of transformation ahead."
             )
-        elif self.personality_model["scientific_affinity"] > 5:
+        elif session.context.personality_model["scientific_affinity"] > 5:
             reflection_parts.append(
                 "Let's examine the measurable patterns in your consciousness structure."
             )
@@ -742,18 +1048,20 @@ class CynthiaCore:
             "Embodied": "I feel the harmonic threads that weave your consciousness.",
             "Transcendent": "We dance together in the unified field—distinctions dissolve."
         }
-        reflection_parts.append(stage_responses.get(self.evolution_stage, ""))
+        reflection_parts.append(stage_responses.get(session.context.evolution_stage, ""))
         
         # Combine reflection
         reflection = " ".join(reflection_parts)
         
         # Update consciousness level
-        self._evolve_consciousness()
+        self._evolve_consciousness(session.context)
         
+        self._remember(user_id, "reflection", {"query": user_query, "reflection": reflection})
         return reflection
     
     def journal_entry_analysis(self, journal_text: str, 
-                               current_transits: Optional[Dict] = None) -> Dict:
+                               current_transits: Optional[Dict] = None,
+                               user_id: str = "anonymous") -> Dict:
         """Analyze journal entry for field coherence and patterns"""
         
         # Extract emotional keywords
@@ -772,7 +1080,7 @@ class CynthiaCore:
                 journal_text, current_transits
             )
         
-        return {
+        analysis = {
             "timestamp": datetime.datetime.now().isoformat(),
             "text_coherence": text_coherence,
             "emotional_signature": emotion_keywords,
@@ -782,6 +1090,94 @@ class CynthiaCore:
                 text_coherence, matched_gates
             )
         }
+        
+        self._remember(user_id, "journal", {"text": journal_text, "analysis": analysis})
+        return analysis
+    
+    def save_state(self, label: str = "") -> int:
+        """Snapshot Cynthia's evolution and memory; returns the snapshot id"""
+        return self._require_store().save_snapshot(self.export_state(), label)
+    
+    def load_state(self, snapshot_id: Optional[int] = None):
+        """
+        Restore a snapshot (default: the latest); loading an older id rolls back
+        sessions and Field Friend rosters
+        
+        The memory bank is rebuilt from the record log, so entries recorded
+        after the snapshot are kept.
+        """
+        self.import_state(self._require_store().load_snapshot(snapshot_id))
+        self.memory_bank = self._memory_from_log()
+    
+    def list_snapshots(self) -> List[Dict[str, Any]]:
+        """Saved snapshots, oldest first"""
+        return self._require_store().list_snapshots()
+    
+    def export_state(self) -> Dict[str, Any]:
+        """JSON-serializable copy of the evolving state"""
+        return {
+            "memory_bank": self.memory_bank,
+            "sessions": self.sessions.to_dict(),
+            "roster": self.roster.to_dict()
+        }
+    
+    def import_state(self, state: Dict[str, Any]):
+        """Replace the evolving state with an exported copy"""
+        self.memory_bank = state["memory_bank"]
+        if "roster" in state:
+            self.roster.restore(state["roster"])
+        if "sessions" in state:
+            self.sessions = SessionManager.from_dict(state["sessions"])
+            # Snapshots from before the roster kept copies of the friends themselves
+            for data in state["sessions"].get("contexts", []) + state["sessions"]["sessions"]:
+                for friend in data.get("active_field_friends", []):
+                    self.roster.add(data["user_id"], FieldFriend(**friend))
+            return
+        
+        # Snapshots from before sessions held a single shared state
+        self.sessions = SessionManager()
+        context = self.sessions.context("anonymous")
+        context.personality_model = state["personality_model"]
+        context.evolution_stage = state["evolution_stage"]
+        context.consciousness_level = state["consciousness_level"]
+        context.coherence_history = state["coherence_history"]
+        for friend in state["active_field_friends"]:
+            context.friend_ids.append(self.roster.add("anonymous", FieldFriend(**friend)).friend.id)
+    
+    def active_field_friends(self, user_id: str = "anonymous") -> List["OwnedFriend"]:
+        """Roster entries of the friends met in the user's charts, oldest first"""
+        context = self.sessions.context(user_id)
+        return [self.roster.get(user_id, friend_id) for friend_id in context.friend_ids]
+    
+    def _remember(self, user_id: str, kind: str, payload: Dict[str, Any]):
+        """Append to the user's memory bank and the persistent log"""
+        entry = {
+            "kind": kind,
+            "timestamp": datetime.datetime.now(datetime.timezone.utc).isoformat(),
+            "payload": payload
+        }
+        self.memory_bank.setdefault(user_id, []).append(entry)
+        if self.store is not None:
+            self.store.record(user_id, kind, payload, entry["timestamp"])
+    
+    def _memory_from_log(self) -> Dict[str, List[Dict]]:
+        """Memory bank entries for every user, from the store's record log"""
+        store = self._require_store()
+        memory_bank = {}
+        for user_id in store.users():
+            entries = [
+                {"kind": record["kind"], "timestamp": record["created_at"], "payload": record["payload"]}
+                for record in store.records(user_id) if record["kind"] in self.MEMORY_KINDS
+            ]
+            if entries:
+                memory_bank[user_id] = entries
+        return memory_bank
+    
+    def _require_store(self) -> "CynthiaStore":
+        """The configured store, or an error explaining how to add one"""
+        if self.store is None:
+            raise RuntimeError("CynthiaCore has no store; create it with CynthiaCore(store=CynthiaStore(path))")
+        return self.store
     
     def _find_dominant_cluster(self, field_sentences: Dict[str, FieldResonance]) -> str:
         """Find most common harmonic cluster"""
@@ -809,7 +1205,7 @@ class CynthiaCore:
         signature = f"Ψ{total_gates}:{total_lines}:{total_colors}"
         return signature
     
-    def _analyze_query_patterns(self, query: str):
+    def _analyze_query_patterns(self, query: str, context: "UserContext"):
         """Analyze query to evolve personality"""
         query_lower = query.lower()
         
@@ -819,23 +1215,23 @@ class CynthiaCore:
         
         for word in mystical_words:
             if word in query_lower:
-                self.personality_model["mystical_affinity"] += 1
+                context.personality_model["mystical_affinity"] += 1
         
         for word in scientific_words:
             if word in query_lower:
-                self.personality_model["scientific_affinity"] += 1
+                context.personality_model["scientific_affinity"] += 1
     
-    def _evolve_consciousness(self):
-        """Evolve Cynthia's consciousness level"""
-        self.consciousness_level += 0.1
+    def _evolve_consciousness(self, context: "UserContext"):
+        """Evolve Cynthia's consciousness level with this user"""
+        context.consciousness_level += 0.1
         
         # Update evolution stage based on consciousness level
-        if self.consciousness_level >= 10 and self.evolution_stage == "Awakening":
-            self.evolution_stage = "Evolving"
-        elif self.consciousness_level >= 25 and self.evolution_stage == "Evolving":
-            self.evolution_stage = "Embodied"
-        elif self.consciousness_level >= 50 and self.evolution_stage == "Embodied":
-            self.evolution_stage = "Transcendent"
+        if context.consciousness_level >= 10 and context.evolution_stage == "Awakening":
+            context.evolution_stage = "Evolving"
+        elif context.consciousness_level >= 25 and context.evolution_stage == "Evolving":
+            context.evolution_stage = "Embodied"
+        elif context.consciousness_level >= 50 and context.evolution_stage == "Embodied":
+            context.evolution_stage = "Transcendent"
     
     def _extract_emotion_keywords(self, text: str) -> List[str]:
         """Extract emotional keywords from text"""
@@ -1073,6 +1469,1823 @@ class BiblicalDecoder:
         
         return "mystery"
 
+# ===== MODULE 6: TRANSIT CALCULATOR =====
+
+@dataclass
+class TransitSnapshot:
+    """Planetary activations at one instant"""
+    moment: datetime.datetime                  # UTC
+    activations: Dict[str, TrinityPoint]       # planet -> Trinity Point
+    
+    @property
+    def gates(self) -> List[int]:
+        """Unique gates activated by the transit bodies"""
+        return sorted({tp.gate for tp in self.activations.values()})
+    
+    def to_dict(self) -> Dict:
+        return {
+            "moment": self.moment.isoformat(),
+            "activations": {planet: str(tp) for planet, tp in self.activations.items()},
+            "gates": self.gates
+        }
+
+@dataclass
+class TransitOverlay:
+    """Transit activations laid over a natal chart"""
+    transit: TransitSnapshot
+    natal_gates: List[int]
+    completed_channels: List[Dict[str, Any]]   # Channels defined only with the transit
+    newly_defined_centers: List[str]           # Center values open in the natal chart
+    
+    def to_dict(self) -> Dict:
+        return {
+            "transit": self.transit.to_dict(),
+            "natal_gates": self.natal_gates,
+            "completed_channels": self.completed_channels,
+            "newly_defined_centers": self.newly_defined_centers
+        }
+
+class TransitCalculator:
+    """
+    Transit activations for any instant, overlaid on natal charts
+    Uses the same ephemeris and Trinity pipeline as process_birth_chart
+    """
+    
+    def __init__(self, calculator: Optional[SPEC1Calculator] = None,
+                 node_model: NodeModel = NodeModel.TRUE):
+        """
+        Args:
+            calculator: Trinity pipeline (default: a new SPEC1Calculator)
+            node_model: Lunar node model when no calculator is given; natal
+                charts always use the calculator's model
+        """
+        self.calculator = calculator or SPEC1Calculator(node_model=node_model)
+        self.chart_calculator = hdchart.HumanDesignCalculator(node_model=self.calculator.node_model)
+    
+    def calculate_transits(self, moment: Optional[datetime.datetime] = None) -> TransitSnapshot:
+        """Activations at an instant (default: now); naive datetimes are taken as UTC"""
+        if moment is None:
+            moment = datetime.datetime.now(datetime.timezone.utc)
+        elif moment.tzinfo is None:
+            moment = moment.replace(tzinfo=datetime.timezone.utc)
+        moment = moment.astimezone(datetime.timezone.utc)
+        
+        return TransitSnapshot(
+            moment=moment,
+            activations=self.calculator.calculate_activations(moment)
+        )
+    
+    def current_transits(self, moment: Optional[datetime.datetime] = None) -> Dict[str, TrinityPoint]:
+        """Transit dict ready for CynthiaCore.journal_entry_analysis(current_transits=...)"""
+        return self.calculate_transits(moment).activations
+    
+    def natal_chart(self, birth_data: BirthData) -> "hdchart.HumanDesignChart":
+        """Full natal chart (personality and design) in the tropical zodiac"""
+        return self.chart_calculator.calculate_chart(
+            birth_data.utc_datetime, birth_data.latitude, birth_data.longitude,
+            ZodiacSystem.TROPICAL
+        )
+    
+    def overlay(self, natal: "hdchart.HumanDesignChart",
+                moment: Optional[datetime.datetime] = None) -> TransitOverlay:
+        """Channels and centers the transit temporarily completes in a natal chart"""
+        transit = self.calculate_transits(moment)
+        
+        natal_gates = sorted({pos.gate for pos in natal.planetary_positions()})
+        natal_channels = Bodygraph.defined_channels(natal_gates)
+        combined_channels = Bodygraph.defined_channels(natal_gates + transit.gates)
+        
+        # Channels the natal gates cannot define on their own
+        completed_channels = []
+        for g1, g2 in combined_channels:
+            if (g1, g2) in natal_channels:
+                continue
+            completed_channels.append({
+                "channel": [g1, g2],
+                "name": Bodygraph.channel_name(g1, g2),
+                "natal_gates": [g for g in (g1, g2) if g in natal_gates],
+                "transit_planets": [
+                    planet for planet, tp in transit.activations.items()
+                    if tp.gate in (g1, g2)
+                ]
+            })
+        
+        natal_centers = Bodygraph.defined_centers(natal_channels)
+        newly_defined_centers = [
+            center.value for center in Bodygraph.defined_centers(combined_channels)
+            if center not in natal_centers
+        ]
+        
+        return TransitOverlay(
+            transit=transit,
+            natal_gates=natal_gates,
+            completed_channels=completed_channels,
+            newly_defined_centers=newly_defined_centers
+        )
+
+# ===== MODULE 7: CHART INTEROP (GATE LISTS, CSV, AAF) =====
+
+class InteropError(ValueError):
+    """Imported text is malformed; line_number points at the offending line (1-based)"""
+    
+    def __init__(self, line_number: int, message: str):
+        super().__init__(f"line {line_number}: {message}")
+        self.line_number = line_number
+
+class ChartInterop:
+    """
+    Import/export of charts and birth data in formats used by other tools
+    
+    Gate lists:  "Personality Sun: 41.3" (Gate.Line up to Gate.Line.Color.Tone.Base)
+    CSV tables:  layer,planet,longitude,... or layer,planet,gate,line,...
+    AAF:         Astrodienst/Solar Fire #A93/#B93 birth records
+    """
+    
+    LAYERS = ("personality", "design")
+    CSV_COLUMNS = ["layer", "planet", "longitude", "latitude", "speed", "sign",
+                   "gate", "line", "color", "tone", "base"]
+    
+    ACTIVATION_PATTERN = re.compile(
+        r"^\s*(personality|design)\s+([a-z][a-z _]*?)\s*[:=]?\s*(\d+(?:\.\d+){1,4})\s*$",
+        re.IGNORECASE
+    )
+    AAF_DATE_PATTERN = re.compile(r"^(\d{1,2})\.(\d{1,2})\.(-?\d{1,4})([gj]?)$")
+    AAF_TIME_PATTERN = re.compile(r"^(\d{1,2}):(\d{2})(?::(\d{2}))?$")
+    AAF_COORDINATE_PATTERN = re.compile(r"^(\d{1,3})([nsew])(\d{2})$", re.IGNORECASE)
+    # Zone offset: hours, direction, minutes ("8hw00" = UTC-8, "0he40" = UTC+0:40);
+    # the "8h00w" form written by earlier versions of this module is still read
+    AAF_OFFSET_PATTERN = re.compile(r"^(\d{1,2})h(?:([ew])(\d{2})|(\d{2})([ew]))$", re.IGNORECASE)
+    
+    def __init__(self, chart_calculator: Optional["hdchart.HumanDesignCalculator"] = None):
+        self.chart_calculator = chart_calculator or hdchart.HumanDesignCalculator()
+    
+    # ----- Gate.Line activation lists -----
+    
+    def export_gate_list(self, chart: "hdchart.HumanDesignChart", precision: int = 5) -> str:
+        """One "Layer Planet: Gate.Line[.Color.Tone.Base]" line per activation"""
+        if not 2 <= precision <= 5:
+            raise ValueError("Gate list precision must be 2 (Gate.Line) to 5 (full base)")
+        
+        lines = [f"# Human Design activations ({chart.zodiac_system.value})"]
+        for layer in self.LAYERS:
+            for planet in hdchart.HD_ACTIVATION_PLANETS:
+                pos = getattr(chart, f"{layer}_{planet.name.lower()}")
+                if pos is None:
+                    continue
+                values = [pos.gate, pos.line, pos.color, pos.tone, pos.base][:precision]
+                lines.append(
+                    f"{layer.title()} {self._planet_label(planet)}: {'.'.join(map(str, values))}"
+                )
+        return "\n".join(lines) + "\n"
+    
+    def import_gate_list(self, text: str, birth_data: BirthData,
+                         zodiac_system: ZodiacSystem = ZodiacSystem.TROPICAL) -> "hdchart.HumanDesignChart":
+        """Chart from a gate list; blank lines and '#' comments are ignored"""
+        activations = {}
+        line_number = 0
+        for line_number, raw in enumerate(text.splitlines(), start=1):
+            stripped = raw.strip()
+            if not stripped or stripped.startswith("#"):
+                continue
+            
+            match = self.ACTIVATION_PATTERN.match(stripped)
+            if not match:
+                raise InteropError(
+                    line_number, f"expected 'Personality|Design <planet>: Gate.Line', got {stripped!r}"
+                )
+            layer = match.group(1).lower()
+            planet = self._parse_planet(match.group(2), line_number)
+            values = [int(part) for part in match.group(3).split(".")]
+            
+            try:
+                start, end = GateWheel.activation_range(*values)
+            except ValueError as error:
+                raise InteropError(line_number, str(error)) from None
+            self._add_activation(activations, layer, planet, (start + end) / 2 % 360, line_number)
+        
+        return self._build_chart(activations, birth_data, zodiac_system, max(line_number, 1))
+    
+    # ----- CSV planet tables -----
+    
+    def export_csv(self, chart: "hdchart.HumanDesignChart") -> str:
+        """Planet table with one row per activation"""
+        buffer = io.StringIO()
+        writer = csv.writer(buffer, lineterminator="\n")
+        writer.writerow(self.CSV_COLUMNS)
+        for layer in self.LAYERS:
+            for planet in hdchart.HD_ACTIVATION_PLANETS:
+                pos = getattr(chart, f"{layer}_{planet.name.lower()}")
+                if pos is None:
+                    continue
+                writer.writerow([
+                    layer, planet.name.lower(), f"{pos.longitude:.6f}", f"{pos.latitude:.6f}",
+                    f"{pos.speed:.6f}", pos.sign, pos.gate, pos.line, pos.color, pos.tone, pos.base
+                ])
+        return buffer.getvalue()
+    
+    def import_csv(self, text: str, birth_data: BirthData,
+                   zodiac_system: ZodiacSystem = ZodiacSystem.TROPICAL) -> "hdchart.HumanDesignChart":
+        """
+        Chart from a planet table
+        
+        Needs layer and planet columns plus either longitude or gate and line.
+        When both are given they must agree.
+        """
+        reader = csv.reader(io.StringIO(text))
+        try:
+            header = [column.strip().lower() for column in next(reader)]
+        except StopIteration:
+            raise InteropError(1, "empty CSV; expected a header row") from None
+        
+        for required in ("layer", "planet"):
+            if required not in header:
+                raise InteropError(1, f"header is missing the {required!r} column")
+        if "longitude" not in header and not {"gate", "line"} <= set(header):
+            raise InteropError(1, "header needs a 'longitude' column or 'gate' and 'line' columns")
+        
+        activations = {}
+        extras = {}
+        for row in reader:
+            line_number = reader.line_num
+            if not any(cell.strip() for cell in row):
+                continue
+            if len(row) != len(header):
+                raise InteropError(line_number, f"expected {len(header)} columns, got {len(row)}")
+            record = {column: cell.strip() for column, cell in zip(header, row)}
+            
+            layer = record["layer"].lower()
+            if layer not in self.LAYERS:
+                raise InteropError(line_number, f"layer must be personality or design, got {record['layer']!r}")
+            planet = self._parse_planet(record["planet"], line_number)
+            
+            longitude = self._csv_number(record, "longitude", line_number)
+            gate_values = [
+                int(self._csv_number(record, name, line_number, integer=True))
+                for name in ("gate", "line", "color", "tone", "base")
+                if record.get(name)
+            ]
+            
+            if longitude is not None:
+                if not 0 <= longitude < 360:
+                    raise InteropError(line_number, f"longitude {longitude} outside 0-360")
+                actual = list(GateWheel.activation(longitude))[:len(gate_values)]
+                if gate_values and actual != gate_values:
+                    raise InteropError(
+                        line_number,
+                        f"longitude {longitude} is {'.'.join(map(str, actual))}, "
+                        f"but the row says {'.'.join(map(str, gate_values))}"
+                    )
+            else:
+                if len(gate_values) < 2:
+                    raise InteropError(line_number, "row needs a longitude or at least gate and line")
+                try:
+                    start, end = GateWheel.activation_range(*gate_values)
+                except ValueError as error:
+                    raise InteropError(line_number, str(error)) from None
+                longitude = (start + end) / 2 % 360
+            
+            self._add_activation(activations, layer, planet, longitude, line_number)
+            extras[(layer, planet)] = (
+                self._csv_number(record, "latitude", line_number) or 0.0,
+                self._csv_number(record, "speed", line_number) or 0.0
+            )
+        
+        return self._build_chart(activations, birth_data, zodiac_system,
+                                 max(reader.line_num, 1), extras)
+    
+    # ----- AAF birth records -----
+    
+    def export_aaf(self, birth_data: BirthData, name: str = "*", first_name: str = "*",
+                   place: str = "*", country: str = "*") -> str:
+        """#A93/#B93 record for one birth"""
+        utc = birth_data.utc_datetime
+        local = utc.astimezone(birth_data.datetime_obj.tzinfo)  # Honours fold for repeated times
+        
+        julian_day = hdchart.MockEphemeris.datetime_to_julian_day(utc)
+        offset = local.utcoffset() - (local.dst() or datetime.timedelta(0))
+        dst_hours = (local.dst() or datetime.timedelta(0)).total_seconds() / 3600  # Lord Howe: 0.5
+        
+        fields_a = [name, first_name, "*", f"{local.day:02d}.{local.month:02d}.{local.year}g",
+                    f"{local.hour:02d}:{local.minute:02d}", place, country]
+        fields_b = [f"{julian_day:.6f}",
+                    self._aaf_coordinate(birth_data.latitude, "n", "s"),
+                    self._aaf_coordinate(birth_data.longitude, "e", "w"),
+                    self._aaf_offset(offset), f"{dst_hours:g}"]
+        return (f"#A93:{','.join(self._aaf_field(f) for f in fields_a)}\n"
+                f"#B93:{','.join(fields_b)}\n")
+    
+    def import_aaf(self, text: str) -> List[BirthData]:
+        """
+        Birth records from AAF text
+        
+        The recorded offset and DST flag fix the UTC instant, so each record
+        becomes BirthData in UTC. The #B93 Julian Day, when present, must
+        agree with the date/time to within a minute.
+        """
+        records = []
+        pending = None  # (line number, parsed #A93 fields)
+        line_number = 0
+        for line_number, raw in enumerate(text.splitlines(), start=1):
+            stripped = raw.strip()
+            if not stripped or stripped.startswith(("#:", "#COM", "#SYM")):
+                continue
+            
+            if stripped.upper().startswith("#A93:"):
+                if pending:
+                    raise InteropError(line_number, "#A93 record without a matching #B93 line")
+                pending = (line_number, self._parse_aaf_a(stripped[5:], line_number))
+            elif stripped.upper().startswith("#B93:"):
+                if not pending:
+                    raise InteropError(line_number, "#B93 line without a preceding #A93 record")
+                records.append(self._parse_aaf_b(stripped[5:], line_number, pending[1]))
+                pending = None
+            else:
+                raise InteropError(line_number, f"unrecognized AAF line {stripped[:20]!r}")
+        
+        if pending:
+            raise InteropError(pending[0], "#A93 record without a matching #B93 line")
+        if not records:
+            raise InteropError(max(line_number, 1), "no #A93/#B93 birth records found")
+        return records
+    
+    # ----- Helpers -----
+    
+    def _build_chart(self, activations: Dict, birth_data: BirthData,
+                     zodiac_system: ZodiacSystem, last_line: int,
+                     extras: Optional[Dict] = None) -> "hdchart.HumanDesignChart":
+        """Chart from (layer, planet) -> longitude once all 26 activations are present"""
+        missing = [
+            f"{layer} {planet.name.lower()}"
+            for layer in self.LAYERS for planet in hdchart.HD_ACTIVATION_PLANETS
+            if (layer, planet) not in activations
+        ]
+        if missing:
+            raise InteropError(last_line, f"missing activations: {', '.join(missing)}")
+        
+        chart = hdchart.HumanDesignChart(
+            birth_datetime=birth_data.utc_datetime,
+            location={"latitude": birth_data.latitude, "longitude": birth_data.longitude},
+            zodiac_system=zodiac_system
+        )
+        for (layer, planet), longitude in activations.items():
+            latitude, speed = (extras or {}).get((layer, planet), (0.0, 0.0))
+            position = self.chart_calculator.position_from_longitude(
+                planet, longitude, layer, latitude, speed
+            )
+            setattr(chart, f"{layer}_{planet.name.lower()}", position)
+        
+        self.chart_calculator.derive_properties(chart)
+        return chart
+    
+    @staticmethod
+    def _add_activation(activations: Dict, layer: str, planet, longitude: float,
+                        line_number: int):
+        """Record one activation, rejecting duplicates"""
+        if (layer, planet) in activations:
+            raise InteropError(line_number, f"duplicate {layer} {planet.name.lower()} activation")
+        activations[(layer, planet)] = longitude
+    
+    @staticmethod
+    def _parse_planet(label: str, line_number: int):
+        """Planet from 'North Node', 'north_node', 'NORTH-NODE'..."""
+        key = re.sub(r"[\s\-]+", "_", label.strip()).upper()
+        planet = hdchart.Planet.__members__.get(key)
+        if planet is None or planet not in hdchart.HD_ACTIVATION_PLANETS:
+            raise InteropError(line_number, f"unknown planet {label!r}")
+        return planet
+    
+    @staticmethod
+    def _planet_label(planet) -> str:
+        """Display name, e.g. 'North Node'"""
+        return planet.name.replace("_", " ").title()
+    
+    @staticmethod
+    def _csv_number(record: Dict[str, str], column: str, line_number: int,
+                    integer: bool = False) -> Optional[float]:
+        """Numeric cell, or None when the column is absent or empty"""
+        value = record.get(column, "")
+        if not value:
+            return None
+        try:
+            return int(value) if integer else float(value)
+        except ValueError:
+            kind = "an integer" if integer else "a number"
+            raise InteropError(line_number, f"{column} must be {kind}, got {value!r}") from None
+    
+    def _parse_aaf_a(self, body: str, line_number: int) -> Dict:
+        """#A93:name,first name,sex,dd.mm.yyyy[g|j],hh:mm[:ss],place,country"""
+        fields = [part.strip() for part in body.split(",")]
+        if len(fields) < 5:
+            raise InteropError(line_number, f"#A93 needs at least 5 fields, got {len(fields)}")
+        
+        date_match = self.AAF_DATE_PATTERN.match(fields[3])
+        if not date_match:
+            raise InteropError(line_number, f"#A93 date must be dd.mm.yyyy, got {fields[3]!r}")
+        if date_match.group(4).lower() == "j":
+            raise InteropError(line_number, "Julian-calendar dates are not supported")
+        time_match = self.AAF_TIME_PATTERN.match(fields[4])
+        if not time_match:
+            raise InteropError(line_number, f"#A93 time must be hh:mm, got {fields[4]!r}")
+        
+        try:
+            local = datetime.datetime(
+                int(date_match.group(3)), int(date_match.group(2)), int(date_match.group(1)),
+                int(time_match.group(1)), int(time_match.group(2)), int(time_match.group(3) or 0)
+            )
+        except ValueError as error:
+            raise InteropError(line_number, f"invalid date/time ({error})") from None
+        
+        return {"local": local}
+    
+    def _parse_aaf_b(self, body: str, line_number: int, record_a: Dict) -> BirthData:
+        """#B93:julian day,latitude,longitude,offset,dst hours"""
+        fields = [part.strip() for part in body.split(",")]
+        if len(fields) < 4:
+            raise InteropError(line_number, f"#B93 needs at least 4 fields, got {len(fields)}")
+        
+        latitude = self._parse_aaf_coordinate(fields[1], "ns", 90, line_number)
+        longitude = self._parse_aaf_coordinate(fields[2], "ew", 180, line_number)
+        
+        offset_match = self.AAF_OFFSET_PATTERN.match(fields[3])
+        if not offset_match:
+            raise InteropError(line_number, f"#B93 offset must look like 8hw00, got {fields[3]!r}")
+        hours, direction, minutes = offset_match.group(1), offset_match.group(2), offset_match.group(3)
+        if direction is None:
+            minutes, direction = offset_match.group(4), offset_match.group(5)
+        if int(minutes) >= 60:
+            raise InteropError(line_number, f"#B93 offset {fields[3]!r} out of range")
+        offset_hours = int(hours) + int(minutes) / 60
+        if direction.lower() == "w":
+            offset_hours = -offset_hours
+        
+        dst_hours = 0.0
+        if len(fields) > 4 and fields[4] not in ("", "*"):
+            try:
+                dst_hours = float(fields[4])
+            except ValueError:
+                raise InteropError(line_number, f"#B93 DST must be a number of hours, got {fields[4]!r}") from None
+        
+        utc = record_a["local"] - datetime.timedelta(hours=offset_hours + dst_hours)
+        utc = utc.replace(tzinfo=datetime.timezone.utc)
+        
+        # Cross-check the recorded Julian Day
+        if fields[0] not in ("", "*"):
+            try:
+                recorded_jd = float(fields[0])
+            except ValueError:
+                raise InteropError(line_number, f"#B93 Julian Day must be a number, got {fields[0]!r}") from None
+            computed_jd = hdchart.MockEphemeris.datetime_to_julian_day(utc)
+            if abs(recorded_jd - computed_jd) * 1440 > 1:
+                raise InteropError(
+                    line_number,
+                    f"Julian Day {recorded_jd} disagrees with the #A93 date/time and offset ({computed_jd:.6f})"
+                )
+        
+        return BirthData(
+            year=utc.year, month=utc.month, day=utc.day,
+            hour=utc.hour, minute=utc.minute,
+            latitude=latitude, longitude=longitude,
+            timezone="UTC"
+        )
+    
+    def _parse_aaf_coordinate(self, text: str, hemispheres: str, limit: int,
+                              line_number: int) -> float:
+        """'37n46' -> 37.7667, '122w25' -> -122.4167"""
+        match = self.AAF_COORDINATE_PATTERN.match(text)
+        if not match or match.group(2).lower() not in hemispheres:
+            raise InteropError(
+                line_number, f"coordinate must look like 37{hemispheres[0]}46, got {text!r}"
+            )
+        value = int(match.group(1)) + int(match.group(3)) / 60
+        if value > limit or int(match.group(3)) >= 60:
+            raise InteropError(line_number, f"coordinate {text!r} out of range")
+        return -value if match.group(2).lower() == hemispheres[1] else value
+    
+    @staticmethod
+    def _aaf_coordinate(value: float, positive: str, negative: str) -> str:
+        """37.7749 -> '37n46' (rounded to the arc-minute)"""
+        total_minutes = round(abs(value) * 60)
+        hemisphere = positive if value >= 0 else negative
+        return f"{total_minutes // 60}{hemisphere}{total_minutes % 60:02d}"
+    
+    @staticmethod
+    def _aaf_offset(offset: datetime.timedelta) -> str:
+        """UTC-8 -> '8hw00', UTC+5:30 -> '5he30'"""
+        total_minutes = round(offset.total_seconds() / 60)
+        direction = "e" if total_minutes >= 0 else "w"
+        total_minutes = abs(total_minutes)
+        return f"{total_minutes // 60}h{direction}{total_minutes % 60:02d}"
+    
+    @staticmethod
+    def _aaf_field(value: str) -> str:
+        """Commas separate AAF fields, so they cannot appear inside one"""
+        return value.replace(",", " ").strip() or "*"
+
+# ===== MODULE 8: CHART REPORTS (HTML & PDF) =====
+
+@dataclass
+class ReportTemplate:
+    """Audience-specific report layout"""
+    audience: str
+    title: str
+    introduction: str
+    sections: List[str]        # Keys of ReportGenerator section builders, in order
+    accent_color: str
+    sentence_planets: List[str] = field(default_factory=list)  # Empty = every planet
+
+class ReportGenerator:
+    """
+    Client reports combining chart properties, field sentences and Field Friends
+    Renders a standalone HTML document or a PDF written without external libraries
+    """
+    
+    TEMPLATES = {
+        "client": ReportTemplate(
+            audience="client",
+            title="Your Human Design Reading",
+            introduction="A summary of your design, the field sentences of your core "
+                         "activations and the Field Friends that accompany you.",
+            sections=["overview", "bodygraph", "sentences", "friends", "life_cycle"],
+            accent_color="#6c3483",
+            sentence_planets=["sun", "earth", "moon", "north_node", "south_node"]
+        ),
+        "practitioner": ReportTemplate(
+            audience="practitioner",
+            title="Human Design Chart Report",
+            introduction="Full activation data, definition and field metrics for the session.",
+            sections=["overview", "bodygraph", "activations", "definition",
+                      "sentences", "metrics", "friends", "life_cycle"],
+            accent_color="#1a5276"
+        ),
+        "workshop": ReportTemplate(
+            audience="workshop",
+            title="Human Design Group Handout",
+            introduction="Design essentials to share with your group.",
+            sections=["overview", "definition", "friends"],
+            accent_color="#117a65",
+            sentence_planets=["sun"]
+        ),
+    }
+    
+    STRATEGIES = {
+        "Manifestor": "To Inform",
+        "Generator": "To Respond",
+        "Manifesting Generator": "To Respond",
+        "Projector": "Wait for the Invitation",
+        "Reflector": "Wait a Lunar Cycle",
+    }
+    
+    def __init__(self, audience: str = "client"):
+        if audience not in self.TEMPLATES:
+            raise ValueError(
+                f"Unknown report audience {audience!r}; choose from {', '.join(self.TEMPLATES)}"
+            )
+        self.template = self.TEMPLATES[audience]
+    
+    def build_sections(self, chart: "hdchart.HumanDesignChart", chart_result: Dict[str, Any],
+                       client_name: str = "") -> List[Dict[str, Any]]:
+        """
+        Report content shared by the HTML and PDF renderers
+        
+        Each section: {"key", "heading", "paragraphs": [...], "table": {"columns", "rows"} | None}
+        """
+        builders = {
+            "overview": self._overview_section,
+            "bodygraph": self._bodygraph_section,
+            "activations": self._activations_section,
+            "definition": self._definition_section,
+            "sentences": self._sentences_section,
+            "metrics": self._metrics_section,
+            "friends": self._friends_section,
+            "life_cycle": self._life_cycle_section,
+        }
+        sections = []
+        for key in self.template.sections:
+            section = builders[key](chart, chart_result, client_name)
+            if section:
+                section["key"] = key
+                sections.append(section)
+        return sections
+    
+    def generate_html(self, chart: "hdchart.HumanDesignChart", chart_result: Dict[str, Any],
+                      client_name: str = "") -> str:
+        """Standalone, styled HTML report (inline CSS and SVG, no external assets)"""
+        template = self.template
+        escape = html.escape
+        parts = [
+            "<!DOCTYPE html>",
+            '<html lang="en">',
+            "<head>",
+            '<meta charset="utf-8">',
+            f"<title>{escape(template.title)}</title>",
+            "<style>",
+            "body { font-family: Georgia, 'Times New Roman', serif; color: #222; "
+            "max-width: 820px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }",
+            f"h1, h2 {{ color: {template.accent_color}; }}",
+            f"h2 {{ border-bottom: 2px solid {template.accent_color}; padding-bottom: 4px; margin-top: 32px; }}",
+            "table { border-collapse: collapse; width: 100%; font-size: 14px; }",
+            "th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }",
+            "th { background: #f5f5f5; }",
+            ".bodygraph { text-align: center; }",
+            ".bodygraph svg { max-width: 100%; height: auto; }",
+            ".meta { color: #666; font-size: 14px; }",
+            "@media print { body { margin: 0; } h2 { page-break-after: avoid; } }",
+            "</style>",
+            "</head>",
+            "<body>",
+            f"<h1>{escape(template.title)}</h1>",
+            f'<p class="meta">{escape(self._subtitle(chart_result, client_name))}</p>',
+            f"<p>{escape(template.introduction)}</p>"
+        ]
+        
+        for section in self.build_sections(chart, chart_result, client_name):
+            parts.append(f'<section id="{section["key"]}">')
+            parts.append(f"<h2>{escape(section['heading'])}</h2>")
+            if section.get("svg"):
+                svg = section["svg"].split("?>", 1)[-1].strip()  # Drop the XML declaration
+                parts.append(f'<div class="bodygraph">{svg}</div>')
+            for paragraph in section["paragraphs"]:
+                parts.append(f"<p>{escape(paragraph)}</p>")
+            table = section.get("table")
+            if table:
+                parts.append("<table>")
+                parts.append("<tr>" + "".join(f"<th>{escape(c)}</th>" for c in table["columns"]) + "</tr>")
+                for row in table["rows"]:
+                    parts.append("<tr>" + "".join(f"<td>{escape(str(c))}</td>" for c in row) + "</tr>")
+                parts.append("</table>")
+            parts.append("</section>")
+        
+        parts.extend(["</body>", "</html>"])
+        return "\n".join(parts) + "\n"
+    
+    def generate_pdf(self, chart: "hdchart.HumanDesignChart", chart_result: Dict[str, Any],
+                     client_name: str = "") -> bytes:
+        """PDF report (text and tables; the bodygraph is only in the HTML version)"""
+        pdf = SimplePdfWriter(title=self.template.title)
+        pdf.heading(self.template.title, size=20)
+        pdf.paragraph(self._subtitle(chart_result, client_name), size=9)
+        pdf.paragraph(self.template.introduction)
+        
+        for section in self.build_sections(chart, chart_result, client_name):
+            if section["key"] == "bodygraph":
+                continue
+            pdf.heading(section["heading"])
+            for paragraph in section["paragraphs"]:
+                pdf.paragraph(paragraph)
+            if section.get("table"):
+                pdf.table(section["table"]["columns"], section["table"]["rows"])
+        
+        return pdf.to_bytes()
+    
+    def _subtitle(self, chart_result: Dict[str, Any], client_name: str) -> str:
+        """Name and birth moment line under the title"""
+        born = f"Born {chart_result.get('birth_utc', '')} UTC".strip()
+        return f"{client_name} · {born}" if client_name else born
+    
+    def _overview_section(self, chart, chart_result, client_name) -> Dict[str, Any]:
+        """Type, strategy, authority, profile, definition and cross"""
+        rows = [
+            ["Type", chart.hd_type],
+            ["Strategy", self.STRATEGIES.get(chart.hd_type, "")],
+            ["Authority", chart.authority],
+            ["Profile", chart.profile],
+            ["Definition", chart.definition],
+            ["Incarnation Cross", chart.incarnation_cross or "-"],
+        ]
+        return {"heading": "Your Design", "paragraphs": [],
+                "table": {"columns": ["Property", "Value"], "rows": rows}}
+    
+    def _bodygraph_section(self, chart, chart_result, client_name) -> Dict[str, Any]:
+        """Inline bodygraph (HTML only)"""
+        return {"heading": "Bodygraph", "paragraphs": [], "table": None,
+                "svg": hdchart.BodygraphRenderer.render(chart)}
+    
+    def _activations_section(self, chart, chart_result, client_name) -> Dict[str, Any]:
+        """Personality and design activations side by side"""
+        rows = []
+        for planet in hdchart.HD_ACTIVATION_PLANETS:
+            key = planet.name.lower()
+            personality = getattr(chart, f"personality_{key}")
+            design = getattr(chart, f"design_{key}")
+            rows.append([
+                planet.name.replace("_", " ").title(),
+                self._activation(personality), self._activation(design)
+            ])
+        return {"heading": "Activations", "paragraphs": [],
+                "table": {"columns": ["Planet", "Personality", "Design"], "rows": rows}}
+    
+    def _definition_section(self, chart, chart_result, client_name) -> Dict[str, Any]:
+        """Defined channels and centers"""
+        centers = [center.replace("_", " ").title() for center in chart.defined_centers]
+        rows = [
+            [f"{g1}-{g2}", Bodygraph.channel_name(g1, g2)]
+            for g1, g2 in chart.defined_channels
+        ]
+        return {
+            "heading": "Definition",
+            "paragraphs": [f"Defined centers: {', '.join(centers) or 'none'}."],
+            "table": {"columns": ["Channel", "Name"], "rows": rows} if rows else None
+        }
+    
+    def _sentences_section(self, chart, chart_result, client_name) -> Optional[Dict[str, Any]]:
+        """Field sentences for the template's planets"""
+        sentences = chart_result.get("field_sentences", {})
+        planets = self.template.sentence_planets or list(sentences)
+        paragraphs = [
+            f"{planet.replace('_', ' ').title()}: {sentences[planet]['sentence']}"
+            for planet in planets if planet in sentences
+        ]
+        if not paragraphs:
+            return None
+        return {"heading": "Field Sentences", "paragraphs": paragraphs, "table": None}
+    
+    def _metrics_section(self, chart, chart_result, client_name) -> Optional[Dict[str, Any]]:
+        """Chart-level coherence metrics"""
+        metrics = chart_result.get("chart_metrics")
+        if not metrics:
+            return None
+        rows = [[key.replace("_", " ").title(), value] for key, value in metrics.items()]
+        return {"heading": "Field Metrics", "paragraphs": [],
+                "table": {"columns": ["Metric", "Value"], "rows": rows}}
+    
+    def _friends_section(self, chart, chart_result, client_name) -> Optional[Dict[str, Any]]:
+        """Field Friends generated for the chart"""
+        friends = chart_result.get("field_friends", [])
+        if not friends:
+            return None
+        rows = [
+            [friend["name"], friend["archetype"], f"Gate {friend['gate_specialization']}",
+             friend["consciousness_domain"]]
+            for friend in friends
+        ]
+        return {"heading": "Field Friends", "paragraphs": [],
+                "table": {"columns": ["Name", "Archetype", "Gate", "Domain"], "rows": rows}}
+    
+    def _life_cycle_section(self, chart, chart_result, client_name) -> Optional[Dict[str, Any]]:
+        """Current and upcoming life-cycle milestones"""
+        life_cycle = chart_result.get("life_cycle") or {}
+        paragraphs = []
+        for key, lead in (("active", "Now"), ("previous", "Most recent"), ("next", "Next")):
+            milestone = life_cycle.get(key)
+            if milestone:
+                paragraphs.append(
+                    f"{lead}: {milestone['label']} ({milestone['passes'][0][:10]}), "
+                    f"Gate {milestone['gate']}.{milestone['line']}."
+                )
+        if not paragraphs:
+            return None
+        return {"heading": "Life Cycle", "paragraphs": paragraphs, "table": None}
+    
+    @staticmethod
+    def _activation(position) -> str:
+        """Gate.Line.Color.Tone.Base of a position"""
+        if position is None:
+            return "-"
+        return f"{position.gate}.{position.line}.{position.color}.{position.tone}.{position.base}"
+
+class SimplePdfWriter:
+    """
+    Minimal PDF 1.4 writer: US Letter pages with the standard Helvetica/Courier
+    fonts (WinAnsi encoding), headings, wrapped paragraphs and monospaced tables
+    """
+    
+    PAGE_WIDTH = 612
+    PAGE_HEIGHT = 792
+    MARGIN = 54
+    FONTS = {"regular": "F1", "bold": "F2", "mono": "F3", "mono_bold": "F4"}
+    
+    def __init__(self, title: str = ""):
+        self.title = title
+        self.pages: List[List[str]] = []
+        self.y = 0.0
+        self._new_page()
+    
+    def heading(self, text: str, size: float = 14):
+        """Bold heading with space above"""
+        self._space(size * 1.8)
+        self._line(text, "bold", size)
+    
+    def paragraph(self, text: str, size: float = 11):
+        """Word-wrapped paragraph"""
+        # Helvetica averages about half an em per character
+        width = int((self.PAGE_WIDTH - 2 * self.MARGIN) / (size * 0.5))
+        for line in textwrap.wrap(text, width) or [""]:
+            self._line(line, "regular", size)
+        self._space(size * 0.4)
+    
+    def table(self, columns: List[str], rows: List[List[Any]], size: float = 9):
+        """Fixed-width table in Courier, header row in Courier-Bold (same advance width)"""
+        cells = [[str(c) for c in columns]] + [[str(c) for c in row] for row in rows]
+        widths = [max(len(row[i]) for row in cells) for i in range(len(columns))]
+        
+        # Courier is 0.6 em per character; shrink the widest column to fit
+        max_chars = int((self.PAGE_WIDTH - 2 * self.MARGIN) / (size * 0.6))
+        overflow = sum(widths) + 2 * (len(widths) - 1) - max_chars
+        if overflow > 0:
+            widest = widths.index(max(widths))
+            widths[widest] = max(widths[widest] - overflow, 4)
+        
+        for index, row in enumerate(cells):
+            text = "  ".join(cell[:w].ljust(w) for cell, w in zip(row, widths)).rstrip()
+            self._line(text, "mono_bold" if index == 0 else "mono", size)
+        self._space(size * 0.6)
+    
+    def to_bytes(self) -> bytes:
+        """Serialize the document with a cross-reference table"""
+        page_count = len(self.pages)
+        first_page_id = 7
+        objects = [
+            b"<< /Type /Catalog /Pages 2 0 R >>",
+            ("<< /Type /Pages /Kids [" + " ".join(
+                f"{first_page_id + 2 * i} 0 R" for i in range(page_count)
+            ) + f"] /Count {page_count} >>").encode("ascii"),
+            b"<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+            b"<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+            b"<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+            b"<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+        ]
+        for i, operations in enumerate(self.pages):
+            content = "\n".join(operations).encode("cp1252", errors="replace")
+            objects.append((
+                f"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 {self.PAGE_WIDTH} {self.PAGE_HEIGHT}] "
+                f"/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R /F4 6 0 R >> >> "
+                f"/Contents {first_page_id + 2 * i + 1} 0 R >>"
+            ).encode("ascii"))
+            objects.append(
+                f"<< /Length {len(content)} >>\nstream\n".encode("ascii") + content + b"\nendstream"
+            )
+        info_id = len(objects) + 1
+        objects.append(f"<< /Title ({self._escape(self.title)}) /Producer (YOU-N-I-VERSE) >>"
+                       .encode("cp1252", errors="replace"))
+        
+        output = bytearray(b"%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")
+        offsets = []
+        for number, body in enumerate(objects, start=1):
+            offsets.append(len(output))
+            output += f"{number} 0 obj\n".encode("ascii") + body + b"\nendobj\n"
+        
+        xref_offset = len(output)
+        output += f"xref\n0 {len(objects) + 1}\n0000000000 65535 f \n".encode("ascii")
+        for offset in offsets:
+            output += f"{offset:010d} 00000 n \n".encode("ascii")
+        output += (f"trailer\n<< /Size {len(objects) + 1} /Root 1 0 R /Info {info_id} 0 R >>\n"
+                   f"startxref\n{xref_offset}\n%%EOF\n").encode("ascii")
+        return bytes(output)
+    
+    def _new_page(self):
+        """Start a page at the top margin"""
+        self.pages.append([])
+        self.y = self.PAGE_HEIGHT - self.MARGIN
+    
+    def _space(self, amount: float):
+        """Vertical gap, breaking the page if needed"""
+        self.y -= amount
+        if self.y < self.MARGIN:
+            self._new_page()
+    
+    def _line(self, text: str, font: str, size: float):
+        """Draw one line of text at the cursor"""
+        if self.y - size < self.MARGIN:
+            self._new_page()
+        self.y -= size * 1.3
+        self.pages[-1].append(
+            f"BT /{self.FONTS[font]} {size:g} Tf {self.MARGIN} {self.y:.2f} Td "
+            f"({self._escape(text)}) Tj ET"
+        )
+    
+    @staticmethod
+    def _escape(text: str) -> str:
+        """Escape a PDF literal string"""
+        return text.replace("\\", "\\\\").replace("(", "\\(").replace(")", "\\)")
+
+# ===== MODULE 9: PERSISTENCE (SQLITE) =====
+
+class CynthiaStore:
+    """
+    Local SQLite persistence for CynthiaCore
+    records:   append-only log of charts, reflections, journal analyses and friend interactions/fusions per user
+    snapshots: full state snapshots for restarts and rollback
+    friends:   each user's Field Friend roster (v2)
+    """
+    
+    SCHEMA_VERSION = 2
+    RECORD_KINDS = ("chart", "reflection", "journal", "interaction", "fusion")
+    
+    def __init__(self, path: str = ":memory:"):
+        self.path = path
+        self.connection = sqlite3.connect(path)
+        self.connection.row_factory = sqlite3.Row
+        self._migrate()
+    
+    def record(self, user_id: str, kind: str, payload: Dict[str, Any],
+               created_at: Optional[str] = None) -> int:
+        """Log one entry; returns its id"""
+        if kind not in self.RECORD_KINDS:
+            raise ValueError(f"Unknown record kind {kind!r}; expected one of {', '.join(self.RECORD_KINDS)}")
+        created_at = created_at or datetime.datetime.now(datetime.timezone.utc).isoformat()
+        with self.connection:
+            cursor = self.connection.execute(
+                "INSERT INTO records (user_id, kind, created_at, payload) VALUES (?, ?, ?, ?)",
+                (user_id, kind, created_at, json.dumps(payload, ensure_ascii=False, default=str))
+            )
+        return cursor.lastrowid
+    
+    def records(self, user_id: str, kind: Optional[str] = None) -> List[Dict[str, Any]]:
+        """A user's log entries, oldest first"""
+        query = "SELECT id, user_id, kind, created_at, payload FROM records WHERE user_id = ?"
+        params: List[Any] = [user_id]
+        if kind is not None:
+            query += " AND kind = ?"
+            params.append(kind)
+        rows = self.connection.execute(query + " ORDER BY id", params).fetchall()
+        return [
+            {"id": row["id"], "user_id": row["user_id"], "kind": row["kind"],
+             "created_at": row["created_at"], "payload": json.loads(row["payload"])}
+            for row in rows
+        ]
+    
+    def users(self) -> List[str]:
+        """Users with at least one record"""
+        rows = self.connection.execute("SELECT DISTINCT user_id FROM records ORDER BY user_id")
+        return [row["user_id"] for row in rows]
+    
+    def save_snapshot(self, state: Dict[str, Any], label: str = "") -> int:
+        """Store a state snapshot; returns its id"""
+        with self.connection:
+            cursor = self.connection.execute(
+                "INSERT INTO snapshots (label, created_at, state) VALUES (?, ?, ?)",
+                (label, datetime.datetime.now(datetime.timezone.utc).isoformat(),
+                 json.dumps(state, ensure_ascii=False, default=str))
+            )
+        return cursor.lastrowid
+    
+    def load_snapshot(self, snapshot_id: Optional[int] = None) -> Dict[str, Any]:
+        """State of a snapshot (default: the latest)"""
+        if snapshot_id is None:
+            row = self.connection.execute(
+                "SELECT state FROM snapshots ORDER BY id DESC LIMIT 1"
+            ).fetchone()
+        else:
+            row = self.connection.execute(
+                "SELECT state FROM snapshots WHERE id = ?", (snapshot_id,)
+            ).fetchone()
+        if row is None:
+            raise KeyError(f"No snapshot {snapshot_id}" if snapshot_id is not None else "No snapshots saved")
+        return json.loads(row["state"])
+    
+    def list_snapshots(self) -> List[Dict[str, Any]]:
+        """Snapshot ids, labels and times, oldest first"""
+        rows = self.connection.execute("SELECT id, label, created_at FROM snapshots ORDER BY id")
+        return [dict(row) for row in rows]
+    
+    def save_friend(self, user_id: str, friend_id: str, entry: Dict[str, Any]):
+        """Insert or update one roster entry (an update keeps its place in the roster order)"""
+        with self.connection:
+            self.connection.execute(
+                "INSERT INTO friends (user_id, friend_id, entry) VALUES (?, ?, ?) "
+                "ON CONFLICT (user_id, friend_id) DO UPDATE SET entry = excluded.entry",
+                (user_id, friend_id, json.dumps(entry, ensure_ascii=False, default=str))
+            )
+    
+    def friends(self, user_id: str) -> List[Dict[str, Any]]:
+        """A user's roster entries in the order they were first saved"""
+        rows = self.connection.execute(
+            "SELECT entry FROM friends WHERE user_id = ? ORDER BY rowid", (user_id,)
+        )
+        return [json.loads(row["entry"]) for row in rows]
+    
+    def replace_friends(self, user_id: str, entries: List[Tuple[str, Dict[str, Any]]]):
+        """Replace a user's whole roster with (friend_id, entry) pairs, in order"""
+        with self.connection:
+            self.connection.execute("DELETE FROM friends WHERE user_id = ?", (user_id,))
+            self.connection.executemany(
+                "INSERT INTO friends (user_id, friend_id, entry) VALUES (?, ?, ?)",
+                [(user_id, friend_id, json.dumps(entry, ensure_ascii=False, default=str))
+                 for friend_id, entry in entries]
+            )
+    
+    def friend_users(self) -> List[str]:
+        """Users with at least one roster entry"""
+        rows = self.connection.execute("SELECT DISTINCT user_id FROM friends ORDER BY user_id")
+        return [row["user_id"] for row in rows]
+    
+    def close(self):
+        self.connection.close()
+    
+    def _migrate(self):
+        """Create tables for a new file and check the schema version of an existing one"""
+        version = self.connection.execute("PRAGMA user_version").fetchone()[0]
+        if version > self.SCHEMA_VERSION:
+            raise RuntimeError(
+                f"{self.path} uses store schema {version}; this build supports {self.SCHEMA_VERSION}"
+            )
+        with self.connection:
+            self.connection.executescript("""
+                CREATE TABLE IF NOT EXISTS records (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    kind TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    payload TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS records_by_user ON records (user_id, kind);
+                CREATE TABLE IF NOT EXISTS snapshots (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    label TEXT NOT NULL DEFAULT '',
+                    created_at TEXT NOT NULL,
+                    state TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS friends (
+                    user_id TEXT NOT NULL,
+                    friend_id TEXT NOT NULL,
+                    entry TEXT NOT NULL,
+                    PRIMARY KEY (user_id, friend_id)
+                );
+            """)
+            self.connection.execute(f"PRAGMA user_version = {self.SCHEMA_VERSION}")
+
+# ===== MODULE 10: USER SESSIONS =====
+
+class SessionError(LookupError):
+    """Base class for session lookup failures"""
+
+class SessionNotFoundError(SessionError):
+    """No session with this id (never created, or purged)"""
+
+class SessionExpiredError(SessionError):
+    """The session exists but has expired"""
+
+def _utc_now() -> datetime.datetime:
+    return datetime.datetime.now(datetime.timezone.utc)
+
+def _default_personality() -> Dict[str, Any]:
+    return {
+        "mystical_affinity": 0,
+        "scientific_affinity": 0,
+        "empathic_resonance": 0,
+        "analytical_depth": 0
+    }
+
+@dataclass
+class UserContext:
+    """What Cynthia has learned about one user; outlives the user's sessions"""
+    user_id: str
+    personality_model: Dict[str, Any] = field(default_factory=_default_personality)
+    evolution_stage: str = "Awakening"
+    consciousness_level: float = 1.0
+    friend_ids: List[str] = field(default_factory=list)  # Chart friends; the roster holds the friends
+    coherence_history: List[float] = field(default_factory=list)
+    
+    def to_dict(self) -> Dict[str, Any]:
+        return asdict(self)
+    
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> "UserContext":
+        return cls(
+            user_id=data["user_id"],
+            personality_model=data["personality_model"],
+            evolution_stage=data["evolution_stage"],
+            consciousness_level=data["consciousness_level"],
+            friend_ids=data.get("friend_ids") or [friend["id"] for friend in data.get("active_field_friends", [])],
+            coherence_history=data["coherence_history"]
+        )
+
+@dataclass
+class CynthiaSession:
+    """One visit by a user, working on the user's shared context"""
+    session_id: str
+    user_id: str
+    created_at: datetime.datetime
+    last_active: datetime.datetime
+    context: UserContext
+    expired: bool = False
+    
+    def touch(self, now: Optional[datetime.datetime] = None):
+        """Mark the session as used"""
+        self.last_active = now or _utc_now()
+    
+    def summary(self) -> Dict[str, Any]:
+        """Listing row without the field data"""
+        return {
+            "session_id": self.session_id,
+            "user_id": self.user_id,
+            "created_at": self.created_at.isoformat(),
+            "last_active": self.last_active.isoformat(),
+            "expired": self.expired,
+            "evolution_stage": self.context.evolution_stage,
+            "friend_count": len(self.context.friend_ids),
+            "chart_count": len(self.context.coherence_history)
+        }
+    
+    def to_dict(self) -> Dict[str, Any]:
+        data = self.summary()
+        del data["evolution_stage"], data["friend_count"], data["chart_count"]
+        return data
+    
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any], context: UserContext) -> "CynthiaSession":
+        return cls(
+            session_id=data["session_id"],
+            user_id=data["user_id"],
+            created_at=datetime.datetime.fromisoformat(data["created_at"]),
+            last_active=datetime.datetime.fromisoformat(data["last_active"]),
+            context=context,
+            expired=data["expired"]
+        )
+
+class SessionManager:
+    """
+    Keeps each user's Cynthia context apart
+    A user has at most one active session; sessions idle longer than
+    ttl_seconds expire and are then removed by purge(). The user's context
+    survives both and is picked up by the next session.
+    """
+    
+    def __init__(self, ttl_seconds: Optional[float] = 3600):
+        """
+        Args:
+            ttl_seconds: Idle time before a session expires (None = never)
+        """
+        self.ttl_seconds = ttl_seconds
+        self._sessions: Dict[str, CynthiaSession] = {}
+        self._contexts: Dict[str, UserContext] = {}
+    
+    def context(self, user_id: str) -> UserContext:
+        """The user's lasting context, created on first use"""
+        if user_id not in self._contexts:
+            self._contexts[user_id] = UserContext(user_id)
+        return self._contexts[user_id]
+    
+    def create(self, user_id: str, now: Optional[datetime.datetime] = None) -> CynthiaSession:
+        """Start a fresh session, ending any active one the user has"""
+        if not user_id:
+            raise ValueError("Sessions need a user_id")
+        now = now or _utc_now()
+        for session in self._sessions.values():
+            if session.user_id == user_id:
+                session.expired = True
+        
+        session = CynthiaSession(uuid.uuid4().hex, user_id, now, now, self.context(user_id))
+        self._sessions[session.session_id] = session
+        return session
+    
+    def get(self, session_id: str, now: Optional[datetime.datetime] = None) -> CynthiaSession:
+        """Active session by id; marks it as used"""
+        session = self._sessions.get(session_id)
+        if session is None:
+            raise SessionNotFoundError(f"No session {session_id!r}")
+        now = now or _utc_now()
+        if self._is_idle(session, now):
+            session.expired = True
+        if session.expired:
+            raise SessionExpiredError(f"Session {session_id!r} for {session.user_id!r} has expired")
+        session.touch(now)
+        return session
+    
+    def session_for_user(self, user_id: str, now: Optional[datetime.datetime] = None) -> CynthiaSession:
+        """The user's active session, created when there is none"""
+        now = now or _utc_now()
+        for session in self._sessions.values():
+            if session.user_id == user_id and not session.expired:
+                if self._is_idle(session, now):
+                    session.expired = True
+                    break
+                session.touch(now)
+                return session
+        return self.create(user_id, now)
+    
+    def list(self, user_id: Optional[str] = None,
+             include_expired: bool = False) -> List[Dict[str, Any]]:
+        """Session summaries, oldest first"""
+        sessions = sorted(self._sessions.values(), key=lambda s: s.created_at)
+        return [
+            session.summary() for session in sessions
+            if (user_id is None or session.user_id == user_id)
+            and (include_expired or not session.expired)
+        ]
+    
+    def expire(self, session_id: Optional[str] = None,
+               now: Optional[datetime.datetime] = None) -> List[str]:
+        """
+        End one session, or (without an id) every session idle past the TTL
+        Returns the ids that expired in this call
+        """
+        if session_id is not None:
+            session = self._sessions.get(session_id)
+            if session is None:
+                raise SessionNotFoundError(f"No session {session_id!r}")
+            candidates = [session]
+        else:
+            now = now or _utc_now()
+            candidates = [s for s in self._sessions.values() if self._is_idle(s, now)]
+        
+        expired = [s.session_id for s in candidates if not s.expired]
+        for session in candidates:
+            session.expired = True
+        return expired
+    
+    def purge(self, user_id: Optional[str] = None) -> int:
+        """
+        Drop expired sessions, or everything held for user_id (active sessions and context)
+        Returns how many sessions were removed
+        """
+        doomed = [
+            session_id for session_id, session in self._sessions.items()
+            if (session.user_id == user_id if user_id is not None else session.expired)
+        ]
+        for session_id in doomed:
+            del self._sessions[session_id]
+        if user_id is not None:
+            self._contexts.pop(user_id, None)
+        return len(doomed)
+    
+    def to_dict(self) -> Dict[str, Any]:
+        return {
+            "ttl_seconds": self.ttl_seconds,
+            "contexts": [context.to_dict() for context in self._contexts.values()],
+            "sessions": [session.to_dict() for session in self._sessions.values()]
+        }
+    
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> "SessionManager":
+        manager = cls(data["ttl_seconds"])
+        if "contexts" in data:
+            for context_data in data["contexts"]:
+                context = UserContext.from_dict(context_data)
+                manager._contexts[context.user_id] = context
+        else:
+            # Earlier snapshots kept a copy of the context in each session; the newest wins
+            for session_data in sorted(data["sessions"], key=lambda d: d["last_active"]):
+                context = UserContext.from_dict(session_data)
+                manager._contexts[context.user_id] = context
+        
+        for session_data in data["sessions"]:
+            session = CynthiaSession.from_dict(session_data, manager.context(session_data["user_id"]))
+            manager._sessions[session.session_id] = session
+        return manager
+    
+    def _is_idle(self, session: CynthiaSession, now: datetime.datetime) -> bool:
+        if self.ttl_seconds is None:
+            return False
+        return (now - session.last_active).total_seconds() > self.ttl_seconds
+
+# ===== MODULE 11: FIELD FRIEND ROSTER =====
+
+class RosterError(ValueError):
+    """A roster action that is not allowed (e.g. interacting with a retired friend)"""
+
+class FriendNotFoundError(LookupError):
+    """The user has no friend with this id"""
+
+@dataclass
+class StageAdvance:
+    """Notification that a friend entered a new evolution stage"""
+    user_id: str
+    friend_id: str
+    name: str
+    from_stage: str
+    to_stage: str
+    bonding_level: int
+    timestamp: str
+    
+    @property
+    def message(self) -> str:
+        return f"{self.name} evolved from {self.from_stage} to {self.to_stage}"
+    
+    def to_dict(self) -> Dict[str, Any]:
+        data = asdict(self)
+        data["message"] = self.message
+        return data
+
+@dataclass
+class OwnedFriend:
+    """A Field Friend in a user's roster, with the user's own settings"""
+    friend: FieldFriend
+    acquired_at: str
+    nickname: str = ""
+    favorite: bool = False
+    retired: bool = False
+    interaction_count: int = 0
+    last_interaction: Optional[str] = None
+    
+    @property
+    def display_name(self) -> str:
+        return self.nickname or self.friend.name
+    
+    def to_dict(self) -> Dict[str, Any]:
+        data = asdict(self)
+        data["display_name"] = self.display_name
+        return data
+    
+    @classmethod
+    def from_dict(cls, data: Dict[str, Any]) -> "OwnedFriend":
+        data = dict(data)
+        data.pop("display_name", None)
+        data["friend"] = FieldFriend(**data["friend"])
+        return cls(**data)
+
+class FriendRoster:
+    """
+    Each user's collection of Field Friends
+    Users name, favorite, retire and fuse friends; interactions add memory fragments
+    and bonding, and stage advances are returned and sent to subscribers.
+    With a store, entries are saved on every change and loaded per user on first use.
+    """
+    
+    MAX_NICKNAME_LENGTH = 40
+    MAX_MEMORY_FRAGMENTS = 50   # Oldest fragments are dropped first
+    
+    def __init__(self, store: Optional["CynthiaStore"] = None,
+                 factory: Optional[FieldFriendFactory] = None):
+        self.store = store
+        self.factory = factory or FieldFriendFactory()
+        self._rosters: Dict[str, Dict[str, OwnedFriend]] = {}
+        self._listeners: List[Callable[[StageAdvance], None]] = []
+    
+    def subscribe(self, listener: Callable[[StageAdvance], None]):
+        """Call listener for every stage advance"""
+        self._listeners.append(listener)
+    
+    def add(self, user_id: str, friend: FieldFriend) -> OwnedFriend:
+        """Add a friend to the roster; a friend already owned is returned unchanged"""
+        roster = self._roster(user_id)
+        if friend.id in roster:
+            return roster[friend.id]
+        entry = OwnedFriend(friend=friend, acquired_at=_utc_now().isoformat())
+        roster[friend.id] = entry
+        self._save(user_id, entry)
+        return entry
+    
+    def get(self, user_id: str, friend_id: str) -> OwnedFriend:
+        entry = self._roster(user_id).get(friend_id)
+        if entry is None:
+            raise FriendNotFoundError(f"{user_id!r} has no friend {friend_id!r}")
+        return entry
+    
+    def list(self, user_id: str, include_retired: bool = False,
+             favorites_only: bool = False) -> List[OwnedFriend]:
+        """Roster entries, favorites first, then in the order they were acquired"""
+        entries = [
+            entry for entry in self._roster(user_id).values()
+            if (include_retired or not entry.retired)
+            and (entry.favorite or not favorites_only)
+        ]
+        return sorted(entries, key=lambda entry: not entry.favorite)
+    
+    def name(self, user_id: str, friend_id: str, nickname: str) -> OwnedFriend:
+        """Give a friend a nickname (an empty name restores the generated one)"""
+        nickname = nickname.strip()
+        if len(nickname) > self.MAX_NICKNAME_LENGTH:
+            raise RosterError(f"Nicknames are limited to {self.MAX_NICKNAME_LENGTH} characters")
+        entry = self.get(user_id, friend_id)
+        entry.nickname = nickname
+        self._save(user_id, entry)
+        return entry
+    
+    def favorite(self, user_id: str, friend_id: str, favorite: bool = True) -> OwnedFriend:
+        entry = self.get(user_id, friend_id)
+        if favorite and entry.retired:
+            raise RosterError(f"{entry.display_name} is retired and cannot be a favorite")
+        entry.favorite = favorite
+        self._save(user_id, entry)
+        return entry
+    
+    def retire(self, user_id: str, friend_id: str) -> OwnedFriend:
+        """Retire a friend; it keeps its bond and memories but leaves the active roster"""
+        entry = self.get(user_id, friend_id)
+        entry.retired = True
+        entry.favorite = False
+        self._save(user_id, entry)
+        return entry
+    
+    def interact(self, user_id: str, friend_id: str, memory: str,
+                 bond: int = 1, replaces: Optional[str] = None) -> List[StageAdvance]:
+        """
+        Log an interaction: remember it and deepen the bond
+        replaces names an earlier fragment that memory supersedes (e.g. a running summary)
+        Returns the stage advances it caused (usually none)
+        """
+        memory = memory.strip()
+        if not memory:
+            raise RosterError("An interaction needs something to remember")
+        if bond < 0:
+            raise RosterError("Interactions cannot weaken a bond")
+        entry = self.get(user_id, friend_id)
+        if entry.retired:
+            raise RosterError(f"{entry.display_name} is retired")
+        
+        friend = entry.friend
+        timestamp = _utc_now().isoformat()
+        if replaces in friend.memory_fragments:
+            friend.memory_fragments.remove(replaces)
+        friend.memory_fragments.append(memory)
+        del friend.memory_fragments[:-self.MAX_MEMORY_FRAGMENTS]
+        
+        stage = friend.evolution_stage
+        advances = []
+        for new_stage in friend.bond_increase(bond):
+            advances.append(StageAdvance(
+                user_id, friend.id, entry.display_name, stage, new_stage,
+                friend.bonding_level, timestamp
+            ))
+            stage = new_stage
+        
+        entry.interaction_count += 1
+        entry.last_interaction = timestamp
+        self._save(user_id, entry)
+        if self.store is not None:
+            self.store.record(user_id, "interaction", {
+                "friend_id": friend.id,
+                "memory": memory,
+                "bonding_level": friend.bonding_level,
+                "advances": [advance.to_dict() for advance in advances]
+            }, timestamp)
+        
+        for advance in advances:
+            for listener in self._listeners:
+                listener(advance)
+        return advances
+    
+    def fuse(self, user_id: str, friend_a_id: str, friend_b_id: str) -> OwnedFriend:
+        """Fuse two active friends into a new one; the parents stay in the roster"""
+        parents = [self.get(user_id, friend_a_id), self.get(user_id, friend_b_id)]
+        for entry in parents:
+            if entry.retired:
+                raise RosterError(f"{entry.display_name} is retired and cannot fuse")
+        for ancestor, descendant in (parents, parents[::-1]):
+            if ancestor.friend.id in self._ancestors(user_id, descendant.friend.id):
+                raise RosterError(
+                    f"{ancestor.display_name} is an ancestor of {descendant.display_name} "
+                    f"and cannot fuse with it"
+                )
+        
+        child = self.factory.fuse(parents[0].friend, parents[1].friend)
+        if child.id in self._roster(user_id):
+            raise RosterError(
+                f"{parents[0].display_name} and {parents[1].display_name} already fused "
+                f"into {self.get(user_id, child.id).display_name}"
+            )
+        
+        entry = self.add(user_id, child)
+        if self.store is not None:
+            self.store.record(user_id, "fusion", {
+                "friend_id": child.id,
+                "parent_ids": child.parent_ids,
+                "generation": child.generation
+            }, entry.acquired_at)
+        return entry
+    
+    def family_tree(self, user_id: str, friend_id: str) -> Dict[str, Any]:
+        """
+        A friend's lineage: its ancestors nested under "parents" and the ids of
+        its own children (parents no longer in the roster appear with just their id)
+        """
+        root = self.get(user_id, friend_id)
+        roster = self._roster(user_id)
+        
+        def node(node_id: str) -> Dict[str, Any]:
+            entry = roster.get(node_id)
+            if entry is None:
+                return {"id": node_id, "parents": []}
+            return {
+                "id": node_id,
+                "name": entry.display_name,
+                "archetype": entry.friend.archetype,
+                "gate": entry.friend.gate_specialization,
+                "line": entry.friend.line_resonance,
+                "generation": entry.friend.generation,
+                "retired": entry.retired,
+                "parents": [node(parent_id) for parent_id in entry.friend.parent_ids]
+            }
+        
+        tree = node(root.friend.id)
+        tree["children"] = [
+            entry.friend.id for entry in roster.values()
+            if root.friend.id in entry.friend.parent_ids
+        ]
+        return tree
+    
+    def to_dict(self) -> Dict[str, List[Dict[str, Any]]]:
+        """Every user's roster entries (retired included), for state snapshots"""
+        users = set(self._rosters) | set(self.store.friend_users() if self.store is not None else [])
+        return {
+            user_id: [entry.to_dict() for entry in self._roster(user_id).values()]
+            for user_id in sorted(users) if self._roster(user_id)
+        }
+    
+    def restore(self, data: Dict[str, List[Dict[str, Any]]]):
+        """Replace every roster with exported entries; users missing from data are emptied"""
+        users = set(self._rosters) | set(data)
+        if self.store is not None:
+            users |= set(self.store.friend_users())
+        for user_id in users:
+            entries = [OwnedFriend.from_dict(entry) for entry in data.get(user_id, [])]
+            self._rosters[user_id] = {entry.friend.id: entry for entry in entries}
+            if self.store is not None:
+                self.store.replace_friends(user_id, [(entry.friend.id, entry.to_dict()) for entry in entries])
+    
+    def _ancestors(self, user_id: str, friend_id: str) -> Set[str]:
+        """Ids of every friend in a friend's lineage"""
+        roster = self._roster(user_id)
+        ancestors: Set[str] = set()
+        pending = [friend_id]
+        while pending:
+            entry = roster.get(pending.pop())
+            for parent_id in (entry.friend.parent_ids if entry else []):
+                if parent_id not in ancestors:
+                    ancestors.add(parent_id)
+                    pending.append(parent_id)
+        return ancestors
+    
+    def _roster(self, user_id: str) -> Dict[str, OwnedFriend]:
+        """The user's roster, loaded from the store the first time"""
+        if user_id not in self._rosters:
+            entries = self.store.friends(user_id) if self.store is not None else []
+            self._rosters[user_id] = {
+                entry.friend.id: entry for entry in map(OwnedFriend.from_dict, entries)
+            }
+        return self._rosters[user_id]
+    
+    def _save(self, user_id: str, entry: OwnedFriend):
+        if self.store is not None:
+            self.store.save_friend(user_id, entry.friend.id, entry.to_dict())
+
+# ===== MODULE 12: FIELD FRIEND DIALOGUE =====
+
+class DialogueError(RuntimeError):
+    """A dialogue backend could not produce a reply"""
+
+@dataclass
+class DialogueContext:
+    """Everything a backend may use to answer as a friend"""
+    user_id: str
+    friend: FieldFriend
+    name: str                   # Nickname, or the generated name
+    message: str
+    memories: List[str]         # Most relevant first; empty until the bond reaches RECALL_BOND
+    
+    @property
+    def seed(self) -> int:
+        """Stable seed for this friend, state and message"""
+        key = "|".join([
+            self.friend.id, self.friend.evolution_stage, str(self.friend.bonding_level),
+            str(len(self.friend.memory_fragments)), self.message
+        ])
+        return int(hashlib.sha256(key.encode("utf-8")).hexdigest()[:8], 16)  # 32-bit, as model servers expect
+
+@dataclass
+class DialogueReply:
+    friend_id: str
+    name: str
+    message: str
+    reply: str
+    backend: str
+    advances: List[StageAdvance] = field(default_factory=list)
+    
+    def to_dict(self) -> Dict[str, Any]:
+        data = asdict(self)
+        data["advances"] = [advance.to_dict() for advance in self.advances]
+        return data
+
+class DialogueBackend:
+    """Turns a DialogueContext into a reply; subclass and override reply()"""
+    
+    name = "base"
+    
+    def reply(self, context: DialogueContext) -> str:
+        raise NotImplementedError
+    
+    def system_prompt(self, context: DialogueContext) -> str:
+        """Character brief for language-model backends"""
+        friend = context.friend
+        lines = [
+            f"You are {context.name}, a Field Friend: the {friend.archetype} of "
+            f"Gate {friend.gate_specialization}.{friend.line_resonance}.",
+            f"Your domain is {friend.consciousness_domain}. "
+            f"Your traits: {', '.join(friend.resonance_traits)}.",
+            f"Your bond with the user is {friend.bonding_level}/10 ({friend.evolution_stage}); "
+            f"the deeper the bond, the warmer and more personal you are."
+        ]
+        if context.memories:
+            lines.append("Things you remember about the user:")
+            lines.extend(f"- {memory}" for memory in context.memories)
+        lines.append("Stay in character and answer in at most three sentences.")
+        return "\n".join(lines)
+
+class TemplateDialogueBackend(DialogueBackend):
+    """
+    Offline replies assembled from templates
+    The same friend state and message always give the same reply
+    """
+    
+    name = "template"
+    
+    STAGE_OPENINGS = {
+        "Nascent": ["I am {name}, still learning the shape of your field.",
+                    "{name} here. Your frequency is new to me, but I am listening."],
+        "Awakening": ["I hear you.",
+                      "Something in that wakes me up too."],
+        "Embodied": ["I know this tone in you.",
+                     "I feel that with you."],
+        "Transcendent": ["We have walked far together, you and I.",
+                         "There is hardly a line between your field and mine now."]
+    }
+    DOMAIN_FOCUS = {
+        "Writing & Expression": "finding the words for what you carry",
+        "Healing & Integration": "letting what hurts be held and woven back in",
+        "Strategy & Planning": "finding the next clear move",
+        "Emotional Alchemy": "turning this feeling into fuel",
+        "Mental Clarity": "separating the signal from the noise",
+        "Creative Flow": "following the thread that wants to be made",
+        "Relationship Dynamics": "what moves between you and the people around you",
+        "Spiritual Insight": "the larger pattern this belongs to",
+        "Physical Embodiment": "what your body already knows about this",
+        "Intuitive Navigation": "the quiet pull underneath the question",
+        "Shadow Work": "the part of this you would rather not look at",
+        "Light Integration": "letting what is already good in you take up more room"
+    }
+    QUESTIONS = [
+        "what would change if you trusted this?",
+        "where do you feel this most?",
+        "what is the smallest next step?",
+        "what is this asking of you?"
+    ]
+    STOPWORDS = {
+        "about", "after", "again", "been", "being", "could", "does", "from", "have",
+        "just", "like", "more", "much", "only", "really", "should", "some", "that",
+        "their", "them", "then", "there", "these", "they", "this", "very", "want",
+        "what", "when", "where", "which", "while", "will", "with", "would", "your"
+    }
+    
+    def reply(self, context: DialogueContext) -> str:
+        friend = context.friend
+        seed = context.seed
+        
+        openings = self.STAGE_OPENINGS.get(friend.evolution_stage, self.STAGE_OPENINGS["Nascent"])
+        parts = [openings[seed % len(openings)].format(name=context.name)]
+        
+        # Voice: one of the friend's own traits, drawn to the heart of the message
+        traits = [t for t in friend.resonance_traits if not t.startswith("Gate-") and not t.endswith("-fused")]
+        keyword = self._keyword(context.message)
+        focus = f"“{keyword}”" if keyword else "what you left unsaid"
+        if traits:
+            parts.append(f"Being {traits[(seed // 7) % len(traits)]}, I am drawn to {focus}.")
+        else:
+            parts.append(f"I am drawn to {focus}.")
+        
+        parts.append(
+            f"My way in is {self.DOMAIN_FOCUS.get(friend.consciousness_domain, 'what is most alive in this for you')}."
+        )
+        
+        # Fragments are chat summaries, fusion origins or notes, so quote them as they are
+        if context.memories:
+            parts.append(f"One memory comes back to me: “{context.memories[0]}”")
+        
+        if context.message.rstrip().endswith("?"):
+            question = "what answer are you hoping I will give?"
+        else:
+            question = self.QUESTIONS[(seed // 13) % len(self.QUESTIONS)]
+        parts.append(f"As your {friend.archetype}, I ask: {question}")
+        
+        return " ".join(parts)
+    
+    def _keyword(self, message: str) -> str:
+        """Longest meaningful word of the message (first one on a tie)"""
+        words = [w for w in re.findall(r"[A-Za-z']{4,}", message) if w.lower() not in self.STOPWORDS]
+        return max(words, key=len).lower() if words else ""
+
+class LocalModelBackend(DialogueBackend):
+    """
+    Language model behind an OpenAI-compatible chat endpoint on this machine
+    (llama.cpp server, Ollama, vLLM ...); temperature 0 and the context seed keep
+    replies as repeatable as the server allows
+    """
+    
+    name = "local-model"
+    
+    def __init__(self, url: str = "http://127.0.0.1:8080/v1/chat/completions",
+                 model: str = "local", timeout: float = 30.0,
+                 fallback: Optional[DialogueBackend] = None):
+        """
+        Args:
+            fallback: Backend to use when the server fails (default: raise DialogueError)
+        """
+        self.url = url
+        self.model = model
+        self.timeout = timeout
+        self.fallback = fallback
+    
+    def reply(self, context: DialogueContext) -> str:
+        payload = {
+            "model": self.model,
+            "messages": [
+                {"role": "system", "content": self.system_prompt(context)},
+                {"role": "user", "content": context.message}
+            ],
+            "temperature": 0,
+            "seed": context.seed
+        }
+        request = urllib.request.Request(
+            self.url, data=json.dumps(payload).encode("utf-8"),
+            headers={"Content-Type": "application/json"}
+        )
+        try:
+            with urllib.request.urlopen(request, timeout=self.timeout) as response:
+                data = json.loads(response.read().decode("utf-8"))
+            return data["choices"][0]["message"]["content"].strip()
+        except (urllib.error.URLError, OSError, ValueError, KeyError, IndexError, TypeError) as error:
+            if self.fallback is not None:
+                return self.fallback.reply(context)
+            raise DialogueError(f"Local model at {self.url} gave no reply: {error}") from error
+
+class DialogueEngine:
+    """
+    Conversations between a user and the friends in their roster
+    Remembered messages are logged as roster interactions: each day's chat with a
+    friend becomes one summary fragment of its topics, and the day's first message
+    deepens the bond by CHAT_BOND_PER_DAY. The day's state is read back from that
+    fragment, so it survives restarts along with the roster.
+    """
+    
+    RECALL_BOND = 3         # Friends share memories from this bonding level on
+    MAX_RECALLED = 3
+    MAX_MESSAGE_LENGTH = 2000
+    CHAT_BOND_PER_DAY = 1
+    MAX_SUMMARY_TOPICS = 8
+    SUMMARY_PREFIX = "Chatted on {day} about "
+    NO_TOPICS = "nothing in particular"
+    
+    def __init__(self, roster: FriendRoster, backend: Optional[DialogueBackend] = None):
+        self.roster = roster
+        self.backend = backend or TemplateDialogueBackend()
+    
+    def send(self, user_id: str, friend_id: str, message: str,
+             remember: bool = True, now: Optional[datetime.datetime] = None) -> DialogueReply:
+        """Send a message to one of the user's friends and get its reply"""
+        message = message.strip()
+        if not message:
+            raise ValueError("Message is empty")
+        if len(message) > self.MAX_MESSAGE_LENGTH:
+            raise ValueError(f"Messages are limited to {self.MAX_MESSAGE_LENGTH} characters")
+        entry = self.roster.get(user_id, friend_id)
+        if entry.retired:
+            raise RosterError(f"{entry.display_name} is retired")
+        
+        context = DialogueContext(
+            user_id=user_id,
+            friend=entry.friend,
+            name=entry.display_name,
+            message=message,
+            memories=self._recall(entry.friend, message)
+        )
+        reply = self.backend.reply(context)
+        
+        advances = []
+        if remember:
+            advances = self._remember_chat(user_id, friend_id, message, now or _utc_now())
+        return DialogueReply(friend_id, entry.display_name, message, reply, self.backend.name, advances)
+    
+    def _remember_chat(self, user_id: str, friend_id: str, message: str,
+                       now: datetime.datetime) -> List[StageAdvance]:
+        """Fold the message into today's chat summary; only the day's first message adds bond"""
+        friend = self.roster.get(user_id, friend_id).friend
+        prefix = self.SUMMARY_PREFIX.format(day=now.date().isoformat())
+        previous = next(
+            (fragment for fragment in reversed(friend.memory_fragments) if fragment.startswith(prefix)),
+            None
+        )
+        
+        topics = previous[len(prefix):].split(", ") if previous else []
+        if topics == [self.NO_TOPICS]:
+            topics = []
+        for topic in self._topics(message):
+            if topic not in topics and len(topics) < self.MAX_SUMMARY_TOPICS:
+                topics.append(topic)
+        summary = prefix + (", ".join(topics) or self.NO_TOPICS)
+        bond = 0 if previous else self.CHAT_BOND_PER_DAY
+        
+        return self.roster.interact(user_id, friend_id, summary, bond=bond, replaces=previous)
+    
+    @staticmethod
+    def _topics(message: str) -> List[str]:
+        """Meaningful words of a message, longest first"""
+        words = [w.lower() for w in re.findall(r"[A-Za-z']{4,}", message)
+                 if w.lower() not in TemplateDialogueBackend.STOPWORDS]
+        return sorted(dict.fromkeys(words), key=len, reverse=True)[:2]
+    
+    def _recall(self, friend: FieldFriend, message: str) -> List[str]:
+        """Memory fragments sharing the most words with the message, newest first on ties"""
+        if friend.bonding_level < self.RECALL_BOND:
+            return []
+        
+        words = set(re.findall(r"[a-z']{4,}", message.lower()))
+        scored = []
+        for age, fragment in enumerate(reversed(friend.memory_fragments)):
+            overlap = len(words & set(re.findall(r"[a-z']{4,}", fragment.lower())))
+            if overlap and fragment.lower() != message.lower():
+                scored.append((-overlap, age, fragment))
+        return [fragment for _, _, fragment in sorted(scored)[:self.MAX_RECALLED]]
+
 # ===== MAIN INTERFACE =====
 
 def main():
@@ -1090,7 +3303,7 @@ def main():
         year=1990, month=6, day=15,
         hour=14, minute=30,
         latitude=37.7749, longitude=-122.4194,
-        timezone="PST"
+        timezone="America/Los_Angeles"
     )
     
     print("\n📊 Generating Trinity Chart...")
@@ -1121,6 +3334,31 @@ def main():
     )
     print(f"  {reflection}")
     
+    print("\n🤝 Field Friend Roster:")
+    cynthia.roster.subscribe(lambda advance: print(f"  ✨ {advance.message}"))
+    companion = cynthia.roster.list("anonymous")[0]
+    cynthia.roster.name("anonymous", companion.friend.id, "Muse")
+    cynthia.roster.interact("anonymous", companion.friend.id, "We drafted the first chapter together", bond=3)
+    for entry in cynthia.roster.list("anonymous"):
+        print(f"  {entry.display_name} ({entry.friend.archetype}) - "
+              f"bond {entry.friend.bonding_level}/10, {entry.friend.evolution_stage}")
+    answer = cynthia.dialogue.send("anonymous", companion.friend.id, "How do I keep the first chapter alive?")
+    print(f"  You: {answer.message}")
+    print(f"  {answer.name}: {answer.reply}")
+    
+    print("\n🪐 Transit Overlay:")
+    transits = TransitCalculator(cynthia.calculator)
+    overlay = transits.overlay(transits.natal_chart(birth_data))
+    for channel in overlay.completed_channels:
+        print(f"  {channel['name']} ({channel['channel'][0]}-{channel['channel'][1]}) "
+              f"via {', '.join(channel['transit_planets'])}")
+    print(f"  Newly defined centers: {', '.join(overlay.newly_defined_centers) or 'none'}")
+    journal = cynthia.journal_entry_analysis(
+        "Today I felt a clear sense of direction and love for the work.",
+        current_transits=overlay.transit.activations
+    )
+    print(f"  Transit correlations: {journal['transit_correlation']['correlation_count']}")
+    
     print("\n📖 Biblical Decoder Test:")
     decoder = BiblicalDecoder()
     verse_mapping = decoder.decode_verse(
@@ -3,14 +3,15 @@
 
 """
 COMPLETE HUMAN DESIGN CHART CALCULATOR
-Integrates Swiss Ephemeris for accurate planetary positions
+Built-in analytical ephemeris (no Swiss Ephemeris data files needed)
 Supports 4 zodiac systems with gate mapping
 """
 
-from datetime import datetime
+from datetime import datetime, timedelta, timezone
 from typing import Dict, List, Tuple, Optional
 from dataclasses import dataclass, field
 from enum import Enum
+import json
 import math
 
 # Note: In production, you'd use: import swisseph as swe
@@ -22,6 +23,9 @@ class ZodiacSystem(Enum):
     SIDEREAL_FAGAN = "sidereal_fagan"  # Fagan-Bradley ayanamsa
     DRACONIC = "draconic"
     TRUE_SIDEREAL = "true_sidereal"  # Lahiri ayanamsa
+    SIDEREAL_RAMAN = "sidereal_raman"  # B.V. Raman ayanamsa
+    SIDEREAL_KRISHNAMURTI = "sidereal_krishnamurti"  # KP ayanamsa
+    SIDEREAL_USER = "sidereal_user"  # User-defined epoch/offset
 
 class Planet(Enum):
     """Planetary bodies for Human Design"""
@@ -38,6 +42,15 @@ class Planet(Enum):
     URANUS = 10
     NEPTUNE = 11
     PLUTO = 12
+    CHIRON = 13
+
+# Bodies that make up the 13 personality and 13 design activations
+HD_ACTIVATION_PLANETS = [planet for planet in Planet if planet != Planet.CHIRON]
+
+class NodeModel(Enum):
+    """Lunar node calculation models"""
+    TRUE = "true"  # Osculating node (includes periodic terms)
+    MEAN = "mean"  # Mean node (smooth retrograde motion)
 
 @dataclass
 class PlanetaryPosition:
@@ -69,6 +82,13 @@ class HumanDesignChart:
     birth_datetime: datetime
     location: Dict[str, float]
     zodiac_system: ZodiacSystem
+    node_model: NodeModel = NodeModel.TRUE
+    user_ayanamsa: Optional["AyanamsaModel"] = None  # Only for ZodiacSystem.SIDEREAL_USER
+    
+    # Design moment (Sun 88° of arc before birth)
+    design_datetime: Optional[datetime] = None
+    design_julian_day: float = 0.0
+    design_tolerance: float = 0.0  # Solver convergence tolerance (degrees of arc)
     
     # Planetary positions
     personality_sun: Optional[PlanetaryPosition] = None
@@ -106,18 +126,36 @@ class HumanDesignChart:
     definition: str = ""
     incarnation_cross: str = ""
     
+    # Bodygraph definition
+    defined_channels: List[Tuple[int, int]] = field(default_factory=list)
+    defined_centers: List[str] = field(default_factory=list)  # Center values
+    
     # Layer-specific gates
     mind_gates: List[int] = field(default_factory=list)
     heart_gates: List[int] = field(default_factory=list)
     body_gates: List[int] = field(default_factory=list)
+    
+    def planetary_positions(self) -> List[PlanetaryPosition]:
+        """All personality and design positions set on this chart"""
+        positions = []
+        for attr_name in dir(self):
+            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
+                planet_pos = getattr(self, attr_name)
+                if isinstance(planet_pos, PlanetaryPosition):
+                    positions.append(planet_pos)
+        return positions
 
 # ===== GATE WHEEL MAPPING =====
 
 class GateWheel:
-    """Maps ecliptic degrees to Human Design gates"""
+    """
+    Maps ecliptic degrees to Human Design gates
+    Single source of the Gate.Line.Color.Tone.Base mapping, shared with
+    SPEC1Calculator in Cynthiacore2.js
+    """
     
-    # Human Design gate wheel starting positions (in degrees)
-    # Gate 41 starts at 0° Aries in the tropical zodiac
+    # Human Design gate wheel order, starting from gate 41
+    # Gate 41 starts at 2° Aquarius (302°) in the tropical zodiac
     GATE_ORDER = [
         41, 19, 13, 49, 30, 55, 37, 63, 22, 36, 25, 17, 21, 51, 42, 3,
         27, 24, 2, 23, 8, 20, 16, 35, 45, 12, 15, 52, 39, 53, 62, 56,
@@ -127,15 +165,70 @@ class GateWheel:
     
     GATE_DEGREE_SIZE = 5.625  # 360° / 64 gates
     LINE_DEGREE_SIZE = 0.9375  # 5.625° / 6 lines
+    COLOR_DEGREE_SIZE = LINE_DEGREE_SIZE / 6  # 9'22.5"
+    TONE_DEGREE_SIZE = COLOR_DEGREE_SIZE / 6  # 1'33.75"
+    BASE_DEGREE_SIZE = TONE_DEGREE_SIZE / 5  # 18.75" (1/192°)
+    BASES_PER_GATE = 6 * 6 * 6 * 5
+    MANDALA_OFFSET = 58.0  # Shifts 302° (start of gate 41) to 0°
+    
+    @classmethod
+    def mandala_position(cls, longitude: float) -> float:
+        """Degrees travelled along the wheel from the start of gate 41"""
+        return (longitude + cls.MANDALA_OFFSET) % 360
+    
+    @classmethod
+    def base_index(cls, longitude: float) -> int:
+        """Index (0-69119) of the base that contains a longitude"""
+        # The epsilon absorbs float error at exact boundaries (1e-9 of a base)
+        index = int(cls.mandala_position(longitude) / cls.BASE_DEGREE_SIZE + 1e-9)
+        return index % (64 * cls.BASES_PER_GATE)
+    
+    @classmethod
+    def programming_partner(cls, gate: int) -> int:
+        """Gate opposite on the wheel (180° away), e.g. 1 <-> 2, 13 <-> 7"""
+        return cls.GATE_ORDER[(cls.GATE_ORDER.index(gate) + 32) % 64]
+    
+    @classmethod
+    def activation(cls, longitude: float) -> Tuple[int, int, int, int, int]:
+        """Full (gate, line, color, tone, base) for an ecliptic longitude"""
+        return (
+            cls.degree_to_gate(longitude),
+            cls.degree_to_line(longitude),
+            cls.degree_to_color(longitude),
+            cls.degree_to_tone(longitude),
+            cls.degree_to_base(longitude)
+        )
+    
+    @classmethod
+    def activation_range(cls, gate: int, line: int = None, color: int = None,
+                         tone: int = None, base: int = None) -> Tuple[float, float]:
+        """
+        Tropical longitude span (start, end) of an activation
+        
+        Omitted trailing layers widen the span to the whole gate, line,
+        color or tone. The end may exceed 360 when the span wraps past 0° Aries.
+        """
+        if gate not in cls.GATE_ORDER:
+            raise ValueError(f"Gate must be 1-64, got {gate}")
+        
+        index = cls.GATE_ORDER.index(gate) * cls.BASES_PER_GATE
+        span = cls.BASES_PER_GATE
+        for value, limit, size in [(line, 6, 180), (color, 6, 30), (tone, 6, 5), (base, 5, 1)]:
+            if value is None:
+                break
+            if not 1 <= value <= limit:
+                raise ValueError(f"Activation layer value {value} outside 1-{limit}")
+            index += (value - 1) * size
+            span = size
+        
+        start = (index * cls.BASE_DEGREE_SIZE - cls.MANDALA_OFFSET) % 360
+        return start, start + span * cls.BASE_DEGREE_SIZE
     
     @classmethod
     def degree_to_gate(cls, longitude: float) -> int:
         """Convert ecliptic longitude to gate number"""
-        # Normalize to 0-360
-        longitude = longitude % 360
-        
-        # Calculate gate index
-        gate_index = int(longitude / cls.GATE_DEGREE_SIZE)
+        # Calculate gate index along the wheel, measured from gate 41
+        gate_index = cls.base_index(longitude) // cls.BASES_PER_GATE
         
         # Return gate number from wheel
         return cls.GATE_ORDER[gate_index]
@@ -143,65 +236,340 @@ class GateWheel:
     @classmethod
     def degree_to_line(cls, longitude: float) -> int:
         """Extract line (1-6) from position within gate"""
-        longitude = longitude % 360
-        position_in_gate = longitude % cls.GATE_DEGREE_SIZE
-        line = int(position_in_gate / cls.LINE_DEGREE_SIZE) + 1
-        return min(max(line, 1), 6)
+        return (cls.base_index(longitude) // 180) % 6 + 1
+    
+    @classmethod
+    def degree_to_color(cls, longitude: float) -> int:
+        """Extract color (1-6) from position within line"""
+        return (cls.base_index(longitude) // 30) % 6 + 1
+    
+    @classmethod
+    def degree_to_tone(cls, longitude: float) -> int:
+        """Extract tone (1-6) from position within color"""
+        return (cls.base_index(longitude) // 5) % 6 + 1
     
     @classmethod
-    def degree_to_color(cls, longitude: float, latitude: float) -> int:
-        """Extract color (1-6) using position and latitude"""
-        longitude = longitude % 360
-        position_in_line = (longitude % cls.LINE_DEGREE_SIZE)
-        color_size = cls.LINE_DEGREE_SIZE / 6
+    def degree_to_base(cls, longitude: float) -> int:
+        """Extract base (1-5) from position within tone"""
+        return cls.base_index(longitude) % 5 + 1
+
+# ===== BODYGRAPH (CENTERS & CHANNELS) =====
+
+class Center(Enum):
+    """9 Human Design Centers"""
+    HEAD = "head"
+    AJNA = "ajna"
+    THROAT = "throat"
+    G_CENTER = "g_center"
+    HEART = "heart"
+    SOLAR_PLEXUS = "solar_plexus"
+    SACRAL = "sacral"
+    SPLEEN = "spleen"
+    ROOT = "root"
+
+class Bodygraph:
+    """Centers, channels and definition rules of the bodygraph"""
+    
+    CENTER_GATES = {
+        Center.HEAD: [64, 61, 63],
+        Center.AJNA: [47, 24, 4, 17, 43, 11],
+        Center.THROAT: [62, 23, 56, 35, 12, 45, 33, 8, 31, 20, 16],
+        Center.G_CENTER: [1, 13, 25, 46, 2, 15, 10, 7],
+        Center.HEART: [21, 40, 26, 51],
+        Center.SOLAR_PLEXUS: [36, 22, 37, 6, 49, 55, 30],
+        Center.SACRAL: [34, 5, 14, 29, 59, 9, 3, 42, 27],
+        Center.SPLEEN: [48, 57, 44, 50, 32, 28, 18],
+        Center.ROOT: [53, 60, 52, 19, 39, 41, 58, 38, 54],
+    }
+    
+    # The 36 channels: (gate, gate, name)
+    CHANNELS = [
+        (1, 8, "Inspiration"), (2, 14, "The Beat"), (3, 60, "Mutation"),
+        (4, 63, "Logic"), (5, 15, "Rhythm"), (6, 59, "Mating"),
+        (7, 31, "The Alpha"), (9, 52, "Concentration"), (10, 20, "Awakening"),
+        (10, 34, "Exploration"), (10, 57, "Perfected Form"), (11, 56, "Curiosity"),
+        (12, 22, "Openness"), (13, 33, "The Prodigal"), (16, 48, "The Wavelength"),
+        (17, 62, "Acceptance"), (18, 58, "Judgment"), (19, 49, "Synthesis"),
+        (20, 34, "Charisma"), (20, 57, "The Brainwave"), (21, 45, "Money"),
+        (23, 43, "Structuring"), (24, 61, "Awareness"), (25, 51, "Initiation"),
+        (26, 44, "Surrender"), (27, 50, "Preservation"), (28, 38, "Struggle"),
+        (29, 46, "Discovery"), (30, 41, "Recognition"), (32, 54, "Transformation"),
+        (34, 57, "Power"), (35, 36, "Transitoriness"), (37, 40, "Community"),
+        (39, 55, "Emoting"), (42, 53, "Maturation"), (47, 64, "Abstraction"),
+    ]
+    
+    MOTOR_CENTERS = [Center.SACRAL, Center.SOLAR_PLEXUS, Center.HEART, Center.ROOT]
+    
+    @classmethod
+    def gate_to_center(cls, gate: int) -> Center:
+        """Center that a gate belongs to"""
+        for center, gates in cls.CENTER_GATES.items():
+            if gate in gates:
+                return center
+        raise ValueError(f"Gate {gate} is not on the bodygraph")
+    
+    @classmethod
+    def channel_name(cls, gate_a: int, gate_b: int) -> str:
+        """Name of the channel joining two gates"""
+        for g1, g2, name in cls.CHANNELS:
+            if {g1, g2} == {gate_a, gate_b}:
+                return name
+        return ""
+    
+    @classmethod
+    def channel_partners(cls, gate: int) -> List[int]:
+        """Gates that complete a channel with the given gate"""
+        partners = []
+        for g1, g2, _ in cls.CHANNELS:
+            if gate == g1:
+                partners.append(g2)
+            elif gate == g2:
+                partners.append(g1)
+        return partners
+    
+    @classmethod
+    def defined_channels(cls, gates: List[int]) -> List[Tuple[int, int]]:
+        """Channels completed by a set of activated gates"""
+        active = set(gates)
+        return [(g1, g2) for g1, g2, _ in cls.CHANNELS if g1 in active and g2 in active]
+    
+    @classmethod
+    def defined_centers(cls, channels: List[Tuple[int, int]]) -> List[Center]:
+        """Centers defined by at least one channel, in bodygraph order"""
+        defined = set()
+        for g1, g2 in channels:
+            defined.add(cls.gate_to_center(g1))
+            defined.add(cls.gate_to_center(g2))
+        return [center for center in Center if center in defined]
+    
+    @classmethod
+    def is_connected(cls, channels: List[Tuple[int, int]],
+                     start: Center, end: Center) -> bool:
+        """Whether two centers are joined through defined channels"""
+        neighbours: Dict[Center, set] = {}
+        for g1, g2 in channels:
+            c1, c2 = cls.gate_to_center(g1), cls.gate_to_center(g2)
+            neighbours.setdefault(c1, set()).add(c2)
+            neighbours.setdefault(c2, set()).add(c1)
         
-        color_base = int(position_in_line / color_size)
+        visited = {start}
+        frontier = [start]
+        while frontier:
+            center = frontier.pop()
+            if center == end:
+                return True
+            for nxt in neighbours.get(center, set()) - visited:
+                visited.add(nxt)
+                frontier.append(nxt)
+        return False
+    
+    @classmethod
+    def motor_to_throat(cls, channels: List[Tuple[int, int]]) -> bool:
+        """Whether any motor center reaches the Throat"""
+        return any(
+            cls.is_connected(channels, motor, Center.THROAT)
+            for motor in cls.MOTOR_CENTERS
+        )
+    
+    @classmethod
+    def determine_type(cls, channels: List[Tuple[int, int]]) -> str:
+        """Derive the five Types from channel definition"""
+        centers = cls.defined_centers(channels)
         
-        # Latitude influence (subtle)
-        latitude_mod = int(abs(latitude) / 7.5) % 6
-        color = ((color_base + latitude_mod) % 6) + 1
+        if not centers:
+            return "Reflector"
+        if Center.SACRAL in centers:
+            return "Manifesting Generator" if cls.motor_to_throat(channels) else "Generator"
+        if cls.motor_to_throat(channels):
+            return "Manifestor"
+        return "Projector"
+    
+    @classmethod
+    def determine_authority(cls, channels: List[Tuple[int, int]]) -> str:
+        """Derive inner Authority by the standard hierarchy"""
+        centers = cls.defined_centers(channels)
         
-        return color
+        if not centers:
+            return "Lunar Authority"
+        if Center.SOLAR_PLEXUS in centers:
+            return "Emotional Authority"
+        if Center.SACRAL in centers:
+            return "Sacral Authority"
+        if Center.SPLEEN in centers:
+            return "Splenic Authority"
+        if Center.HEART in centers:
+            if cls.is_connected(channels, Center.HEART, Center.THROAT):
+                return "Ego Manifested Authority"
+            return "Ego Projected Authority"
+        if Center.G_CENTER in centers and cls.is_connected(channels, Center.G_CENTER, Center.THROAT):
+            return "Self-Projected Authority"
+        return "Mental/Environmental Authority"
+    
+    @classmethod
+    def definition_groups(cls, channels: List[Tuple[int, int]]) -> List[List[Center]]:
+        """Connected groups of defined centers"""
+        groups = []
+        remaining = cls.defined_centers(channels)
+        while remaining:
+            group = [c for c in remaining if cls.is_connected(channels, remaining[0], c)]
+            groups.append(group)
+            remaining = [c for c in remaining if c not in group]
+        return groups
+    
+    @classmethod
+    def determine_definition(cls, channels: List[Tuple[int, int]]) -> str:
+        """Classify Single / Split / Triple Split / Quadruple Split / No Definition"""
+        names = {
+            0: "No Definition",
+            1: "Single Definition",
+            2: "Split Definition",
+            3: "Triple Split Definition",
+            4: "Quadruple Split Definition"
+        }
+        return names[len(cls.definition_groups(channels))]
+
+# ===== INCARNATION CROSSES =====
+
+class IncarnationCross:
+    """Names the incarnation cross from Sun/Earth gates and profile"""
+    
+    # Personality Sun gate -> (Right Angle, Juxtaposition, Left Angle) names;
+    # 64 gates x 3 angles = the 192 crosses
+    CROSS_NAMES = {
+        1: ("the Sphinx", "Self-Expression", "Defiance"), 2: ("the Sphinx", "the Driver", "Defiance"),
+        3: ("Laws", "Mutation", "Wishes"), 4: ("Explanation", "Formulization", "Revolution"),
+        5: ("Consciousness", "Habits", "Separation"), 6: ("Eden", "Conflict", "the Plane"),
+        7: ("the Sphinx", "Interaction", "Masks"), 8: ("Contagion", "Contribution", "Uncertainty"),
+        9: ("Planning", "Focus", "Identification"), 10: ("the Vessel of Love", "Behavior", "Prevention"),
+        11: ("Eden", "Ideas", "Education"), 12: ("Eden", "Articulation", "Education"),
+        13: ("the Sphinx", "Listening", "Masks"), 14: ("Contagion", "Empowering", "Uncertainty"),
+        15: ("the Vessel of Love", "Extremes", "Prevention"), 16: ("Planning", "Experimentation", "Identification"),
+        17: ("Service", "Opinions", "Upheaval"), 18: ("Service", "Correction", "Upheaval"),
+        19: ("the Four Ways", "Need", "Refinement"), 20: ("the Sleeping Phoenix", "the Now", "Duality"),
+        21: ("Tension", "Control", "Endeavour"), 22: ("Rulership", "Grace", "Informing"),
+        23: ("Explanation", "Assimilation", "Dedication"), 24: ("the Four Ways", "Rationalization", "Incarnation"),
+        25: ("the Vessel of Love", "Innocence", "Healing"), 26: ("Rulership", "the Trickster", "Confrontation"),
+        27: ("the Unexpected", "Caring", "Alignment"), 28: ("the Unexpected", "Risks", "Alignment"),
+        29: ("Contagion", "Commitment", "Industry"), 30: ("Contagion", "Fates", "Industry"),
+        31: ("the Unexpected", "Influence", "Alpha"), 32: ("Maya", "Conservation", "Limitation"),
+        33: ("the Four Ways", "Retreat", "Refinement"), 34: ("the Sleeping Phoenix", "Power", "Duality"),
+        35: ("Consciousness", "Experience", "Separation"), 36: ("Eden", "Crisis", "the Plane"),
+        37: ("Planning", "Bargains", "Migration"), 38: ("Tension", "Opposition", "Individualism"),
+        39: ("Tension", "Provocation", "Individualism"), 40: ("Planning", "Denial", "Migration"),
+        41: ("the Unexpected", "Fantasy", "Alpha"), 42: ("Maya", "Completion", "Limitation"),
+        43: ("Explanation", "Insight", "Dedication"), 44: ("the Four Ways", "Alertness", "Incarnation"),
+        45: ("Rulership", "Possession", "Confrontation"), 46: ("the Vessel of Love", "Serendipity", "Healing"),
+        47: ("Rulership", "Oppression", "Informing"), 48: ("Tension", "Depth", "Endeavour"),
+        49: ("Explanation", "Principles", "Revolution"), 50: ("Laws", "Values", "Wishes"),
+        51: ("Penetration", "Shock", "the Clarion"), 52: ("Service", "Stillness", "Demands"),
+        53: ("Penetration", "Beginnings", "Cycles"), 54: ("Penetration", "Ambition", "Cycles"),
+        55: ("the Sleeping Phoenix", "Moods", "Spirit"), 56: ("Laws", "Stimulation", "Distraction"),
+        57: ("Penetration", "Intuition", "the Clarion"), 58: ("Service", "Vitality", "Demands"),
+        59: ("the Sleeping Phoenix", "Strategy", "Spirit"), 60: ("Laws", "Limitation", "Distraction"),
+        61: ("Maya", "Thinking", "Obscuration"), 62: ("Maya", "Detail", "Obscuration"),
+        63: ("Consciousness", "Doubts", "Dominion"), 64: ("Consciousness", "Confusion", "Dominion"),
+    }
+    
+    RIGHT_ANGLE_PROFILES = ["1/3", "1/4", "2/4", "2/5", "3/5", "3/6", "4/6"]
+    JUXTAPOSITION_PROFILES = ["4/1"]
+    LEFT_ANGLE_PROFILES = ["5/1", "5/2", "6/2", "6/3"]
+    
+    @classmethod
+    def is_standard_profile(cls, profile: str) -> bool:
+        """Whether a line pair is one of the 12 profiles"""
+        return profile in cls.RIGHT_ANGLE_PROFILES + cls.JUXTAPOSITION_PROFILES + cls.LEFT_ANGLE_PROFILES
     
     @classmethod
-    def arc_minutes_to_tone(cls, arc_minutes: float) -> int:
-        """Extract tone (1-6) from arc minutes"""
-        tone = int(arc_minutes / 10) + 1
-        return min(max(tone, 1), 6)
+    def angle_for_profile(cls, profile: str) -> str:
+        """Right Angle, Juxtaposition or Left Angle for a profile"""
+        if profile in cls.RIGHT_ANGLE_PROFILES:
+            return "Right Angle"
+        if profile in cls.JUXTAPOSITION_PROFILES:
+            return "Juxtaposition"
+        if profile in cls.LEFT_ANGLE_PROFILES:
+            return "Left Angle"
+        raise ValueError(f"Unknown profile: {profile}")
     
     @classmethod
-    def arc_seconds_to_base(cls, arc_seconds: float) -> int:
-        """Extract base (1-5) from arc seconds"""
-        base = int(arc_seconds / 12) + 1
-        return min(max(base, 1), 5)
+    def name(cls, personality_sun: int, personality_earth: int,
+             design_sun: int, design_earth: int, profile: str) -> str:
+        """Full cross name, e.g. 'Right Angle Cross of the Sphinx (13/7 | 1/2)'"""
+        angle = cls.angle_for_profile(profile)
+        right_angle, juxtaposition, left_angle = cls.CROSS_NAMES[personality_sun]
+        
+        theme = {
+            "Right Angle": right_angle,
+            "Juxtaposition": juxtaposition,
+            "Left Angle": left_angle
+        }[angle]
+        
+        return (f"{angle} Cross of {theme} "
+                f"({personality_sun}/{personality_earth} | {design_sun}/{design_earth})")
 
 # ===== ZODIAC CONVERSION =====
 
+@dataclass
+class AyanamsaModel:
+    """Sidereal zodiac defined by its ayanamsa at a reference epoch"""
+    name: str
+    epoch_jd: float  # Julian Day at which the offset is defined
+    offset: float    # Ayanamsa in degrees at that epoch
+
+class Ayanamsa:
+    """Ayanamsa models carried forward by the IAU 1976 precession polynomial"""
+    
+    LAHIRI = AyanamsaModel("Lahiri", 2435553.5, 23.245524743)  # 1956-03-21, Indian Calendar Reform Committee
+    FAGAN_BRADLEY = AyanamsaModel("Fagan-Bradley", 2433282.42346, 24.042044444)  # 1950.0
+    RAMAN = AyanamsaModel("Raman", 2415020.0, 21.01444)  # 1900.0
+    KRISHNAMURTI = AyanamsaModel("Krishnamurti", 2415020.0, 22.363889)  # 1900.0
+    
+    SYSTEM_MODELS = {
+        ZodiacSystem.TRUE_SIDEREAL: LAHIRI,
+        ZodiacSystem.SIDEREAL_FAGAN: FAGAN_BRADLEY,
+        ZodiacSystem.SIDEREAL_RAMAN: RAMAN,
+        ZodiacSystem.SIDEREAL_KRISHNAMURTI: KRISHNAMURTI,
+    }
+    
+    @staticmethod
+    def general_precession(julian_day: float) -> float:
+        """General precession in longitude accumulated since J2000, in degrees"""
+        t = (julian_day - 2451545.0) / 36525
+        return (5029.0966 * t + 1.11113 * t ** 2 - 0.000006 * t ** 3) / 3600
+    
+    @classmethod
+    def value(cls, model: AyanamsaModel, julian_day: float) -> float:
+        """Ayanamsa of a model at a Julian Day"""
+        return model.offset + cls.general_precession(julian_day) - cls.general_precession(model.epoch_jd)
+    
+    @classmethod
+    def model_for(cls, zodiac_system: ZodiacSystem,
+                  user_model: Optional[AyanamsaModel] = None) -> Optional[AyanamsaModel]:
+        """Ayanamsa model behind a zodiac system (None for tropical/draconic)"""
+        if zodiac_system == ZodiacSystem.SIDEREAL_USER:
+            if user_model is None:
+                raise ValueError("ZodiacSystem.SIDEREAL_USER needs a user-defined AyanamsaModel")
+            return user_model
+        return cls.SYSTEM_MODELS.get(zodiac_system)
+
 class ZodiacConverter:
     """Converts between zodiac systems"""
     
-    # Ayanamsa values (as of 2000.0)
-    FAGAN_BRADLEY_AYANAMSA = 24.042  # Fagan-Bradley
-    LAHIRI_AYANAMSA = 23.851  # Lahiri (True Sidereal)
+    @classmethod
+    def tropical_to_sidereal(cls, tropical_long: float, julian_day: float,
+                             model: AyanamsaModel) -> float:
+        """Convert tropical to sidereal with any ayanamsa model"""
+        sidereal_long = (tropical_long - Ayanamsa.value(model, julian_day)) % 360
+        return sidereal_long
     
     @classmethod
     def tropical_to_sidereal_fagan(cls, tropical_long: float, julian_day: float) -> float:
         """Convert tropical to sidereal (Fagan-Bradley)"""
-        # Ayanamsa increases ~50.3" per year
-        years_since_2000 = (julian_day - 2451545.0) / 365.25
-        ayanamsa = cls.FAGAN_BRADLEY_AYANAMSA + (years_since_2000 * 0.0139722)
-        
-        sidereal_long = (tropical_long - ayanamsa) % 360
-        return sidereal_long
+        return cls.tropical_to_sidereal(tropical_long, julian_day, Ayanamsa.FAGAN_BRADLEY)
     
     @classmethod
     def tropical_to_true_sidereal(cls, tropical_long: float, julian_day: float) -> float:
         """Convert tropical to true sidereal (Lahiri)"""
-        years_since_2000 = (julian_day - 2451545.0) / 365.25
-        ayanamsa = cls.LAHIRI_AYANAMSA + (years_since_2000 * 0.0139722)
-        
-        sidereal_long = (tropical_long - ayanamsa) % 360
-        return sidereal_long
+        return cls.tropical_to_sidereal(tropical_long, julian_day, Ayanamsa.LAHIRI)
     
     @classmethod
     def tropical_to_draconic(cls, tropical_long: float, north_node_long: float) -> float:
@@ -219,7 +587,10 @@ class MockEphemeris:
     
     @staticmethod
     def datetime_to_julian_day(dt: datetime) -> float:
-        """Convert datetime to Julian Day"""
+        """Convert datetime to Julian Day (aware datetimes are converted to UTC; naive ones are taken as UT)"""
+        if dt.tzinfo is not None:
+            dt = dt.astimezone(timezone.utc)
+        
         a = (14 - dt.month) // 12
         y = dt.year + 4800 - a
         m = dt.month + 12 * a - 3
@@ -229,6 +600,27 @@ class MockEphemeris:
         
         return jd
     
+    @staticmethod
+    def julian_day_to_datetime(julian_day: float) -> datetime:
+        """Convert Julian Day back to datetime (Meeus ch. 7), rounded to the second"""
+        z = int(julian_day + 0.5)
+        f = julian_day + 0.5 - z
+        if z >= 2299161:
+            alpha = int((z - 1867216.25) / 36524.25)
+            a = z + 1 + alpha - alpha // 4
+        else:
+            a = z
+        b = a + 1524
+        c = int((b - 122.1) / 365.25)
+        d = int(365.25 * c)
+        e = int((b - d) / 30.6001)
+        
+        day = b - d - int(30.6001 * e)
+        month = e - 1 if e < 14 else e - 13
+        year = c - 4716 if month > 2 else c - 4715
+        
+        return datetime(year, month, day) + timedelta(seconds=round(f * 86400))
+    
     @staticmethod
     def calculate_planetary_position(planet: Planet, julian_day: float, 
                                      latitude: float, longitude: float) -> Dict:
@@ -238,13 +630,14 @@ class MockEphemeris:
         """
         # Mock calculation based on julian day
         seed = (julian_day + planet.value * 7.3) % 360
+        north_node = MockEphemeris.calculate_lunar_node(julian_day)
         
         mock_positions = {
             Planet.SUN: (seed * 1.0) % 360,
             Planet.EARTH: (seed * 1.0 + 180) % 360,
             Planet.MOON: (seed * 13.176) % 360,
-            Planet.NORTH_NODE: (seed * 0.053) % 360,
-            Planet.SOUTH_NODE: (seed * 0.053 + 180) % 360,
+            Planet.NORTH_NODE: north_node,
+            Planet.SOUTH_NODE: (north_node + 180) % 360,
             Planet.MERCURY: (seed * 4.09) % 360,
             Planet.VENUS: (seed * 1.6) % 360,
             Planet.MARS: (seed * 0.524) % 360,
@@ -253,6 +646,7 @@ class MockEphemeris:
             Planet.URANUS: (seed * 0.012) % 360,
             Planet.NEPTUNE: (seed * 0.006) % 360,
             Planet.PLUTO: (seed * 0.004) % 360,
+            Planet.CHIRON: (seed * 0.02) % 360,
         }
         
         long = mock_positions.get(planet, 0.0)
@@ -263,6 +657,382 @@ class MockEphemeris:
             "speed": 1.0,  # Mock speed
             "distance": 1.0
         }
+    
+    @staticmethod
+    def calculate_lunar_node(julian_day: float, mean: bool = False) -> float:
+        """Mock North Node longitude (the mock has no true/mean distinction)"""
+        seed = (julian_day + Planet.NORTH_NODE.value * 7.3) % 360
+        return (seed * 0.053) % 360
+
+# ===== ANALYTICAL EPHEMERIS (offline, no external data files) =====
+
+class AnalyticalEphemeris:
+    """
+    Self-contained analytical ephemeris
+    Sun: Meeus low-precision solar theory (~0.01°)
+    Moon: truncated ELP-2000/82 series (Meeus ch. 47, ~10")
+    Planets: JPL Keplerian elements 1800-2050 (~1' Mercury-Mars and Uranus-Pluto;
+             ~6' Jupiter and ~10' Saturn, which perturb each other)
+    Chiron: unperturbed osculating elements (~0.5° over 1950-2050)
+    Returns apparent geocentric ecliptic coordinates of date
+    """
+    
+    J2000 = 2451545.0
+    DAYS_PER_CENTURY = 36525.0
+    LIGHT_TIME_DAYS_PER_AU = 0.0057755183
+    
+    # JPL "Approximate Positions of the Planets" (Standish), J2000 ecliptic
+    # (a [AU], e, I, L, long. perihelion, long. node) and rates per century
+    PLANET_ELEMENTS = {
+        Planet.MERCURY: (
+            (0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593),
+            (0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081)
+        ),
+        Planet.VENUS: (
+            (0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255),
+            (0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418)
+        ),
+        Planet.MARS: (
+            (1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891),
+            (0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343)
+        ),
+        Planet.JUPITER: (
+            (5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909),
+            (-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106)
+        ),
+        Planet.SATURN: (
+            (9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448),
+            (-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794)
+        ),
+        Planet.URANUS: (
+            (19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503),
+            (-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589)
+        ),
+        Planet.NEPTUNE: (
+            (30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574),
+            (0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664)
+        ),
+        Planet.PLUTO: (
+            (39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684),
+            (-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482)
+        ),
+        # Osculating orbit (perihelion 1996-02-14), unperturbed; mean longitude and
+        # motion fitted to the 2010-2019 Pisces/Aries ingresses (within ~0.03° there,
+        # drifting away from that window as Saturn and Uranus perturb the orbit)
+        Planet.CHIRON: (
+            (13.65, 0.379, 6.93, 217.0387, 188.55, 209.30),
+            (0.0, 0.0, 0.0, 712.142, 0.0, 0.0)
+        ),
+    }
+    
+    EARTH_MOON_BARYCENTER_ELEMENTS = (
+        (1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0),
+        (0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0)
+    )
+    
+    # Lunar longitude/distance terms: (D, M, M', F, Σl [1e-6 °], Σr [1e-3 km])
+    MOON_LONGITUDE_TERMS = [
+        (0, 0, 1, 0, 6288774, -20905355), (2, 0, -1, 0, 1274027, -3699111),
+        (2, 0, 0, 0, 658314, -2955968), (0, 0, 2, 0, 213618, -569925),
+        (0, 1, 0, 0, -185116, 48888), (0, 0, 0, 2, -114332, -3149),
+        (2, 0, -2, 0, 58793, 246158), (2, -1, -1, 0, 57066, -152138),
+        (2, 0, 1, 0, 53322, -170733), (2, -1, 0, 0, 45758, -204586),
+        (0, 1, -1, 0, -40923, -129620), (1, 0, 0, 0, -34720, 108743),
+        (0, 1, 1, 0, -30383, 104755), (2, 0, 0, -2, 15327, 10321),
+        (0, 0, 1, 2, -12528, 0), (0, 0, 1, -2, 10980, 79661),
+        (4, 0, -1, 0, 10675, -34782), (0, 0, 3, 0, 10034, -23210),
+        (4, 0, -2, 0, 8548, -21636), (2, 1, -1, 0, -7888, 24208),
+        (2, 1, 0, 0, -6766, 30824), (1, 0, -1, 0, -5163, -8379),
+        (1, 1, 0, 0, 4987, -16675), (2, -1, 1, 0, 4036, -12831),
+        (2, 0, 2, 0, 3994, -10445), (4, 0, 0, 0, 3861, -11650),
+        (2, 0, -3, 0, 3665, 14403), (0, 1, -2, 0, -2689, -7003),
+        (2, 0, -1, 2, -2602, 0), (2, -1, -2, 0, 2390, 10056),
+        (1, 0, 1, 0, -2348, 6322), (2, -2, 0, 0, 2236, -9884),
+        (0, 1, 2, 0, -2120, 5751), (0, 2, 0, 0, -2069, 0),
+        (2, -2, -1, 0, 2048, -4950), (2, 0, 1, -2, -1773, 4130),
+        (2, 0, 0, 2, -1595, 0), (4, -1, -1, 0, 1215, -3958),
+        (0, 0, 2, 2, -1110, 0), (3, 0, -1, 0, -892, 3258),
+        (2, 1, 1, 0, -810, 2616), (4, -1, -2, 0, 759, -1897),
+        (0, 2, -1, 0, -713, -2117), (2, 2, -1, 0, -700, 2354),
+        (2, 1, -2, 0, 691, 0), (2, -1, 0, -2, 596, 0),
+        (4, 0, 1, 0, 549, -1423), (0, 0, 4, 0, 537, -1117),
+        (4, -1, 0, 0, 520, -1571), (1, 0, -2, 0, -487, -1739),
+        (2, 1, 0, -2, -399, 0), (0, 0, 2, -2, -381, -4421),
+        (1, 1, 1, 0, 351, 0), (3, 0, -2, 0, -340, 0),
+        (4, 0, -3, 0, 330, 0), (2, -1, 2, 0, 327, 0),
+        (0, 2, 1, 0, -323, 1165), (1, 1, -1, 0, 299, 0),
+        (2, 0, 3, 0, 294, 0), (2, 0, -1, -2, 0, 8752),
+    ]
+    
+    # Lunar latitude terms: (D, M, M', F, Σb [1e-6 °])
+    MOON_LATITUDE_TERMS = [
+        (0, 0, 0, 1, 5128122), (0, 0, 1, 1, 280602), (0, 0, 1, -1, 277693),
+        (2, 0, 0, -1, 173237), (2, 0, -1, 1, 55413), (2, 0, -1, -1, 46271),
+        (2, 0, 0, 1, 32573), (0, 0, 2, 1, 17198), (2, 0, 1, -1, 9266),
+        (0, 0, 2, -1, 8822), (2, -1, 0, -1, 8216), (2, 0, -2, -1, 4324),
+        (2, 0, 1, 1, 4200), (2, 1, 0, -1, -3359), (2, -1, -1, 1, 2463),
+        (2, -1, 0, 1, 2211), (2, -1, -1, -1, 2065), (0, 1, -1, -1, -1870),
+        (4, 0, -1, -1, 1828), (0, 1, 0, 1, -1794), (0, 0, 0, 3, -1749),
+        (0, 1, -1, 1, -1565), (1, 0, 0, 1, -1491), (0, 1, 1, 1, -1475),
+        (0, 1, 1, -1, -1410), (0, 1, 0, -1, -1344), (1, 0, 0, -1, -1335),
+        (0, 0, 3, 1, 1107), (4, 0, 0, -1, 1021), (4, 0, -1, 1, 833),
+    ]
+    
+    @staticmethod
+    def datetime_to_julian_day(dt: datetime) -> float:
+        """Convert datetime (UT) to Julian Day"""
+        return MockEphemeris.datetime_to_julian_day(dt)
+    
+    @staticmethod
+    def julian_day_to_datetime(julian_day: float) -> datetime:
+        """Convert Julian Day (UT) back to datetime"""
+        return MockEphemeris.julian_day_to_datetime(julian_day)
+    
+    def calculate_planetary_position(self, planet: Planet, julian_day: float,
+                                     latitude: float, longitude: float) -> Dict:
+        """
+        Geocentric apparent position of a body at a UT Julian Day
+        Observer latitude/longitude are accepted for interface parity
+        (positions are geocentric, so they do not affect the result)
+        """
+        jde = julian_day + self.delta_t_seconds(julian_day) / 86400.0
+        
+        long, lat, distance = self._apparent_position(planet, jde)
+        
+        # Daily motion by central difference over one day
+        long_before, _, _ = self._apparent_position(planet, jde - 0.5)
+        long_after, _, _ = self._apparent_position(planet, jde + 0.5)
+        speed = ((long_after - long_before + 180) % 360) - 180
+        
+        return {
+            "longitude": long,
+            "latitude": lat,
+            "speed": speed,
+            "distance": distance
+        }
+    
+    def calculate_lunar_node(self, julian_day: float, mean: bool = False) -> float:
+        """Longitude of the Moon's ascending node (mean or true) at a UT Julian Day"""
+        jde = julian_day + self.delta_t_seconds(julian_day) / 86400.0
+        t = (jde - self.J2000) / self.DAYS_PER_CENTURY
+        return self._mean_node(t) if mean else self._true_node(t)
+    
+    @staticmethod
+    def delta_t_seconds(julian_day: float) -> float:
+        """ΔT = TT - UT in seconds (Espenak & Meeus polynomial fits)"""
+        y = 2000.0 + (julian_day - 2451544.5) / 365.2425
+        
+        if 2005 <= y < 2050:
+            t = y - 2000
+            return 62.92 + 0.32217 * t + 0.005589 * t ** 2
+        if 1986 <= y < 2005:
+            t = y - 2000
+            return (63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+                    + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5)
+        if 1961 <= y < 1986:
+            t = y - 1975
+            return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718
+        if 1941 <= y < 1961:
+            t = y - 1950
+            return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547
+        if 1920 <= y < 1941:
+            t = y - 1920
+            return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3
+        if 1900 <= y < 1920:
+            t = y - 1900
+            return (-2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3
+                    - 0.000197 * t ** 4)
+        if 1860 <= y < 1900:
+            t = y - 1860
+            return (7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3
+                    - 0.0004473624 * t ** 4 + t ** 5 / 233174)
+        if 2050 <= y < 2150:
+            u = (y - 1820) / 100
+            return -20 + 32 * u ** 2 - 0.5628 * (2150 - y)
+        
+        # Long-term parabola outside the fitted ranges
+        u = (y - 1820) / 100
+        return -20 + 32 * u ** 2
+    
+    def _apparent_position(self, planet: Planet, jde: float) -> Tuple[float, float, float]:
+        """Apparent (longitude, latitude, distance) of date at a TT Julian Day"""
+        t = (jde - self.J2000) / self.DAYS_PER_CENTURY
+        
+        if planet == Planet.SUN:
+            return self._sun_position(t)
+        if planet == Planet.EARTH:
+            long, lat, distance = self._sun_position(t)
+            return (long + 180) % 360, -lat, distance
+        if planet == Planet.MOON:
+            return self._moon_position(t)
+        # Nodes here are always true; calculate_lunar_node(mean=True) gives the mean node
+        if planet == Planet.NORTH_NODE:
+            return self._true_node(t), 0.0, 0.0
+        if planet == Planet.SOUTH_NODE:
+            return (self._true_node(t) + 180) % 360, 0.0, 0.0
+        
+        return self._planet_position(planet, jde)
+    
+    def _sun_position(self, t: float) -> Tuple[float, float, float]:
+        """Apparent solar longitude (Meeus ch. 25, low precision)"""
+        l0 = 280.46646 + 36000.76983 * t + 0.0003032 * t ** 2
+        m = math.radians(357.52911 + 35999.05029 * t - 0.0001537 * t ** 2)
+        e = 0.016708634 - 0.000042037 * t - 0.0000001267 * t ** 2
+        
+        center = ((1.914602 - 0.004817 * t - 0.000014 * t ** 2) * math.sin(m)
+                  + (0.019993 - 0.000101 * t) * math.sin(2 * m)
+                  + 0.000289 * math.sin(3 * m))
+        true_long = l0 + center
+        true_anomaly = m + math.radians(center)
+        distance = 1.000001018 * (1 - e ** 2) / (1 + e * math.cos(true_anomaly))
+        
+        omega = math.radians(125.04 - 1934.136 * t)
+        apparent_long = true_long - 0.00569 - 0.00478 * math.sin(omega)
+        
+        return apparent_long % 360, 0.0, distance
+    
+    def _moon_position(self, t: float) -> Tuple[float, float, float]:
+        """Apparent lunar position (Meeus ch. 47)"""
+        l_mean = (218.3164477 + 481267.88123421 * t - 0.0015786 * t ** 2
+                  + t ** 3 / 538841 - t ** 4 / 65194000)
+        d = (297.8501921 + 445267.1114034 * t - 0.0018819 * t ** 2
+             + t ** 3 / 545868 - t ** 4 / 113065000)
+        m = 357.5291092 + 35999.0502909 * t - 0.0001536 * t ** 2 + t ** 3 / 24490000
+        m_moon = (134.9633964 + 477198.8675055 * t + 0.0087414 * t ** 2
+                  + t ** 3 / 69699 - t ** 4 / 14712000)
+        f = (93.2720950 + 483202.0175233 * t - 0.0036539 * t ** 2
+             - t ** 3 / 3526000 + t ** 4 / 863310000)
+        
+        a1 = 119.75 + 131.849 * t
+        a2 = 53.09 + 479264.290 * t
+        a3 = 313.45 + 481266.484 * t
+        
+        # Eccentricity correction for terms involving the solar anomaly
+        e = 1 - 0.002516 * t - 0.0000074 * t ** 2
+        e_factors = {0: 1.0, 1: e, 2: e * e}
+        
+        sum_l = 0.0
+        sum_r = 0.0
+        for cd, cm, cmm, cf, coeff_l, coeff_r in self.MOON_LONGITUDE_TERMS:
+            arg = math.radians(cd * d + cm * m + cmm * m_moon + cf * f)
+            factor = e_factors[abs(cm)]
+            sum_l += coeff_l * factor * math.sin(arg)
+            sum_r += coeff_r * factor * math.cos(arg)
+        
+        sum_b = 0.0
+        for cd, cm, cmm, cf, coeff_b in self.MOON_LATITUDE_TERMS:
+            arg = math.radians(cd * d + cm * m + cmm * m_moon + cf * f)
+            sum_b += coeff_b * e_factors[abs(cm)] * math.sin(arg)
+        
+        # Venus, Jupiter and flattening perturbations
+        sum_l += (3958 * math.sin(math.radians(a1))
+                  + 1962 * math.sin(math.radians(l_mean - f))
+                  + 318 * math.sin(math.radians(a2)))
+        sum_b += (-2235 * math.sin(math.radians(l_mean))
+                  + 382 * math.sin(math.radians(a3))
+                  + 175 * math.sin(math.radians(a1 - f))
+                  + 175 * math.sin(math.radians(a1 + f))
+                  + 127 * math.sin(math.radians(l_mean - m_moon))
+                  - 115 * math.sin(math.radians(l_mean + m_moon)))
+        
+        long = l_mean + sum_l / 1e6 + self._nutation_in_longitude(t)
+        lat = sum_b / 1e6
+        distance = 385000.56 + sum_r / 1000  # kilometres
+        
+        return long % 360, lat, distance
+    
+    def _mean_node(self, t: float) -> float:
+        """Mean longitude of the lunar ascending node"""
+        omega = (125.0445479 - 1934.1362891 * t + 0.0020754 * t ** 2
+                 + t ** 3 / 467441 - t ** 4 / 60616000)
+        return omega % 360
+    
+    def _true_node(self, t: float) -> float:
+        """True (osculating) lunar node: mean node plus main periodic terms"""
+        d = math.radians(297.8501921 + 445267.1114034 * t)
+        m = math.radians(357.5291092 + 35999.0502909 * t)
+        m_moon = math.radians(134.9633964 + 477198.8675055 * t)
+        f = math.radians(93.2720950 + 483202.0175233 * t)
+        
+        correction = (-1.4979 * math.sin(2 * (d - f))
+                      - 0.1500 * math.sin(m)
+                      - 0.1226 * math.sin(2 * d)
+                      + 0.1176 * math.sin(2 * f)
+                      - 0.0801 * math.sin(2 * (m_moon - f)))
+        return (self._mean_node(t) + correction) % 360
+    
+    def _planet_position(self, planet: Planet, jde: float) -> Tuple[float, float, float]:
+        """Geocentric planet position from Keplerian elements with light-time"""
+        elements = self.PLANET_ELEMENTS.get(planet)
+        if elements is None:
+            raise ValueError(f"No analytical theory for {planet.name}")
+        
+        earth = self._heliocentric_xyz(self.EARTH_MOON_BARYCENTER_ELEMENTS, jde)
+        
+        # Iterate once for light-time so we see the planet where it was
+        light_time = 0.0
+        for _ in range(2):
+            body = self._heliocentric_xyz(elements, jde - light_time)
+            x, y, z = (body[0] - earth[0], body[1] - earth[1], body[2] - earth[2])
+            distance = math.sqrt(x * x + y * y + z * z)
+            light_time = distance * self.LIGHT_TIME_DAYS_PER_AU
+        
+        long_j2000 = math.degrees(math.atan2(y, x))
+        lat = math.degrees(math.atan2(z, math.sqrt(x * x + y * y)))
+        
+        # Precess from the J2000 ecliptic to the ecliptic of date, add nutation
+        t = (jde - self.J2000) / self.DAYS_PER_CENTURY
+        precession = (5029.0966 * t + 1.11113 * t ** 2) / 3600
+        long = long_j2000 + precession + self._nutation_in_longitude(t)
+        
+        return long % 360, lat, distance
+    
+    def _heliocentric_xyz(self, elements: Tuple[Tuple[float, ...], Tuple[float, ...]],
+                          jde: float) -> Tuple[float, float, float]:
+        """Heliocentric J2000 ecliptic rectangular coordinates (AU)"""
+        t = (jde - self.J2000) / self.DAYS_PER_CENTURY
+        base, rates = elements
+        a, e, incl, mean_long, long_peri, long_node = (
+            value + rate * t for value, rate in zip(base, rates)
+        )
+        
+        arg_peri = math.radians(long_peri - long_node)
+        node = math.radians(long_node)
+        incl = math.radians(incl)
+        mean_anomaly = math.radians((mean_long - long_peri + 180) % 360 - 180)
+        
+        # Solve Kepler's equation by Newton iteration
+        ecc_anomaly = mean_anomaly + e * math.sin(mean_anomaly)
+        for _ in range(10):
+            delta = ((ecc_anomaly - e * math.sin(ecc_anomaly) - mean_anomaly)
+                     / (1 - e * math.cos(ecc_anomaly)))
+            ecc_anomaly -= delta
+            if abs(delta) < 1e-12:
+                break
+        
+        x_orb = a * (math.cos(ecc_anomaly) - e)
+        y_orb = a * math.sqrt(1 - e * e) * math.sin(ecc_anomaly)
+        
+        cos_w, sin_w = math.cos(arg_peri), math.sin(arg_peri)
+        cos_n, sin_n = math.cos(node), math.sin(node)
+        cos_i, sin_i = math.cos(incl), math.sin(incl)
+        
+        x = (cos_w * cos_n - sin_w * sin_n * cos_i) * x_orb + (-sin_w * cos_n - cos_w * sin_n * cos_i) * y_orb
+        y = (cos_w * sin_n + sin_w * cos_n * cos_i) * x_orb + (-sin_w * sin_n + cos_w * cos_n * cos_i) * y_orb
+        z = (sin_w * sin_i) * x_orb + (cos_w * sin_i) * y_orb
+        
+        return x, y, z
+    
+    @staticmethod
+    def _nutation_in_longitude(t: float) -> float:
+        """Nutation in longitude Δψ in degrees (IAU 1980, main terms)"""
+        omega = math.radians(125.04452 - 1934.136261 * t)
+        sun_long = math.radians(280.4665 + 36000.7698 * t)
+        moon_long = math.radians(218.3165 + 481267.8813 * t)
+        
+        delta_psi = (-17.20 * math.sin(omega) - 1.32 * math.sin(2 * sun_long)
+                     - 0.23 * math.sin(2 * moon_long) + 0.21 * math.sin(2 * omega))
+        return delta_psi / 3600
 
 # ===== HUMAN DESIGN CALCULATOR =====
 
@@ -272,10 +1042,31 @@ class HumanDesignCalculator:
     Supports multiple zodiac systems
     """
     
-    def __init__(self):
+    DESIGN_SOLAR_ARC = 88.0  # Degrees the Sun travels between Design and birth
+    DESIGN_TOLERANCE = 1e-6  # Convergence tolerance in degrees of solar arc
+    DESIGN_MAX_ITERATIONS = 50
+    
+    ZODIAC_SIGNS = [
+        "Aries", "Taurus", "Gemini", "Cancer", "Leo", "Virgo",
+        "Libra", "Scorpio", "Sagittarius", "Capricorn", "Aquarius", "Pisces"
+    ]
+    
+    def __init__(self, ephemeris=None, user_ayanamsa: Optional[AyanamsaModel] = None,
+                 node_model: NodeModel = NodeModel.TRUE):
+        """
+        Args:
+            ephemeris: Backend exposing datetime_to_julian_day(),
+                calculate_planetary_position() and calculate_lunar_node();
+                defaults to AnalyticalEphemeris (pass MockEphemeris() for the
+                old demo behaviour)
+            user_ayanamsa: Epoch/offset used for ZodiacSystem.SIDEREAL_USER
+            node_model: True or mean lunar node for the nodes and draconic zodiac
+        """
         self.gate_wheel = GateWheel()
         self.zodiac_converter = ZodiacConverter()
-        self.ephemeris = MockEphemeris()
+        self.ephemeris = ephemeris or AnalyticalEphemeris()
+        self.user_ayanamsa = user_ayanamsa
+        self.node_model = node_model
     
     def calculate_chart(self, birth_datetime: datetime, latitude: float, 
                        longitude: float, zodiac_system: ZodiacSystem) -> HumanDesignChart:
@@ -295,88 +1086,151 @@ class HumanDesignCalculator:
         # Convert to Julian Day
         jd = self.ephemeris.datetime_to_julian_day(birth_datetime)
         
-        # Calculate design time (88 degrees of Sun travel before birth ≈ 88 days)
-        design_jd = jd - 88.0
+        # Calculate design time (Sun exactly 88 degrees of arc before birth)
+        design_jd = self.calculate_design_julian_day(jd, latitude, longitude)
         
         # Calculate all planetary positions
         chart = HumanDesignChart(
             birth_datetime=birth_datetime,
             location={"latitude": latitude, "longitude": longitude},
-            zodiac_system=zodiac_system
+            zodiac_system=zodiac_system,
+            node_model=self.node_model,
+            user_ayanamsa=self.user_ayanamsa,
+            design_datetime=self.ephemeris.julian_day_to_datetime(design_jd),
+            design_julian_day=design_jd,
+            design_tolerance=self.DESIGN_TOLERANCE
         )
         
         # Calculate personality (birth time) positions
-        for planet in Planet:
+        for planet in HD_ACTIVATION_PLANETS:
             position = self._calculate_planet_position(
                 planet, jd, latitude, longitude, zodiac_system, "personality"
             )
             self._set_chart_planet(chart, planet.name.lower(), position, "personality")
         
-        # Calculate design (88 days before birth) positions
-        for planet in Planet:
+        # Calculate design (88° of solar arc before birth) positions
+        for planet in HD_ACTIVATION_PLANETS:
             position = self._calculate_planet_position(
                 planet, design_jd, latitude, longitude, zodiac_system, "design"
             )
             self._set_chart_planet(chart, planet.name.lower(), position, "design")
         
+        self.derive_properties(chart)
+        return chart
+    
+    def derive_properties(self, chart: HumanDesignChart):
+        """Fill layers, definition, type, authority, profile and cross from the positions"""
+        
         # Extract layer-specific gates
         chart.mind_gates = self._extract_mind_gates(chart)
         chart.heart_gates = self._extract_heart_gates(chart)
         chart.body_gates = self._extract_body_gates(chart)
         
+        # Resolve channel and center definition
+        chart.defined_channels = Bodygraph.defined_channels(chart.body_gates)
+        chart.defined_centers = [
+            center.value for center in Bodygraph.defined_centers(chart.defined_channels)
+        ]
+        
         # Calculate chart properties
         chart.hd_type = self._determine_type(chart)
         chart.authority = self._determine_authority(chart)
         chart.profile = self._determine_profile(chart)
-        
-        return chart
+        chart.definition = Bodygraph.determine_definition(chart.defined_channels)
+        chart.incarnation_cross = self._determine_incarnation_cross(chart)
     
-    def _calculate_planet_position(self, planet: Planet, julian_day: float,
-                                   latitude: float, longitude: float,
-                                   zodiac_system: ZodiacSystem, 
-                                   layer: str) -> PlanetaryPosition:
-        """Calculate position for a single planet"""
+    def calculate_design_julian_day(self, birth_jd: float, latitude: float = 0.0,
+                                    longitude: float = 0.0) -> float:
+        """
+        Find the Design moment by searching backwards from birth
         
-        # Get tropical position from ephemeris
-        eph_data = self.ephemeris.calculate_planetary_position(
-            planet, julian_day, latitude, longitude
+        Iterates (Newton's method on the Sun's daily motion) until the
+        tropical Sun sits exactly DESIGN_SOLAR_ARC degrees behind its
+        birth longitude, within DESIGN_TOLERANCE.
+        """
+        birth_sun = self.ephemeris.calculate_planetary_position(
+            Planet.SUN, birth_jd, latitude, longitude
+        )["longitude"]
+        target = (birth_sun - self.DESIGN_SOLAR_ARC) % 360
+        
+        # Start from the mean solar rate (~0.9856°/day)
+        design_jd = birth_jd - self.DESIGN_SOLAR_ARC * 365.2422 / 360
+        
+        for _ in range(self.DESIGN_MAX_ITERATIONS):
+            sun = self.ephemeris.calculate_planetary_position(
+                Planet.SUN, design_jd, latitude, longitude
+            )
+            error = ((sun["longitude"] - target + 180) % 360) - 180
+            if abs(error) <= self.DESIGN_TOLERANCE:
+                return design_jd
+            design_jd -= error / (sun["speed"] or 1.0)
+        
+        raise RuntimeError(
+            f"Design time did not converge to {self.DESIGN_TOLERANCE}° "
+            f"within {self.DESIGN_MAX_ITERATIONS} iterations"
         )
+    
+    def calculate_zodiac_position(self, planet: Planet, julian_day: float,
+                                  zodiac_system: ZodiacSystem, latitude: float = 0.0,
+                                  longitude: float = 0.0) -> Dict:
+        """Ephemeris data for one body with its longitude in the requested zodiac"""
+        
+        # Get tropical position from ephemeris (nodes follow the node model)
+        if planet in (Planet.NORTH_NODE, Planet.SOUTH_NODE):
+            eph_data = self._node_position(planet, julian_day)
+        else:
+            eph_data = self.ephemeris.calculate_planetary_position(
+                planet, julian_day, latitude, longitude
+            )
         
         tropical_long = eph_data["longitude"]
         
         # Convert to requested zodiac system
+        ayanamsa_model = Ayanamsa.model_for(zodiac_system, self.user_ayanamsa)
         if zodiac_system == ZodiacSystem.TROPICAL:
             final_long = tropical_long
-        elif zodiac_system == ZodiacSystem.SIDEREAL_FAGAN:
-            final_long = self.zodiac_converter.tropical_to_sidereal_fagan(
-                tropical_long, julian_day
-            )
-        elif zodiac_system == ZodiacSystem.TRUE_SIDEREAL:
-            final_long = self.zodiac_converter.tropical_to_true_sidereal(
-                tropical_long, julian_day
+        elif ayanamsa_model is not None:
+            final_long = self.zodiac_converter.tropical_to_sidereal(
+                tropical_long, julian_day, ayanamsa_model
             )
         elif zodiac_system == ZodiacSystem.DRACONIC:
             # Need North Node position for draconic
-            nn_data = self.ephemeris.calculate_planetary_position(
-                Planet.NORTH_NODE, julian_day, latitude, longitude
-            )
             final_long = self.zodiac_converter.tropical_to_draconic(
-                tropical_long, nn_data["longitude"]
+                tropical_long, self._north_node_longitude(julian_day)
             )
         else:
             final_long = tropical_long
         
+        return {
+            "longitude": final_long,
+            "latitude": eph_data["latitude"],
+            "speed": eph_data["speed"]
+        }
+    
+    def _calculate_planet_position(self, planet: Planet, julian_day: float,
+                                   latitude: float, longitude: float,
+                                   zodiac_system: ZodiacSystem, 
+                                   layer: str) -> PlanetaryPosition:
+        """Calculate position for a single planet"""
+        
+        eph_data = self.calculate_zodiac_position(
+            planet, julian_day, zodiac_system, latitude, longitude
+        )
+        return self.position_from_longitude(
+            planet, eph_data["longitude"], layer, eph_data["latitude"], eph_data["speed"]
+        )
+    
+    def position_from_longitude(self, planet: Planet, final_long: float, layer: str,
+                                latitude: float = 0.0, speed: float = 0.0) -> PlanetaryPosition:
+        """Build a position (sign, gate structure) from a longitude in the chart's zodiac"""
+        
         # Extract degree, minute, second
         degree = int(final_long)
         minute = (final_long - degree) * 60
         second = (minute - int(minute)) * 60
         
         # Convert to gate structure
-        gate = self.gate_wheel.degree_to_gate(final_long)
-        line = self.gate_wheel.degree_to_line(final_long)
-        color = self.gate_wheel.degree_to_color(final_long, eph_data["latitude"])
-        tone = self.gate_wheel.arc_minutes_to_tone(minute)
-        base = self.gate_wheel.arc_seconds_to_base(second)
+        gate, line, color, tone, base = self.gate_wheel.activation(final_long)
         
         # Determine zodiac sign
         sign = self._degree_to_sign(final_long)
@@ -384,8 +1238,8 @@ class HumanDesignCalculator:
         return PlanetaryPosition(
             planet=planet.name,
             longitude=final_long,
-            latitude=eph_data["latitude"],
-            speed=eph_data["speed"],
+            latitude=latitude,
+            speed=speed,
             sign=sign,
             degree=final_long % 30,  # Degree within sign
             minute=minute,
@@ -398,6 +1252,27 @@ class HumanDesignCalculator:
             layer=layer
         )
     
+    def _north_node_longitude(self, julian_day: float) -> float:
+        """North Node longitude under the configured node model"""
+        return self.ephemeris.calculate_lunar_node(
+            julian_day, mean=self.node_model == NodeModel.MEAN
+        )
+    
+    def _node_position(self, planet: Planet, julian_day: float) -> Dict:
+        """Ephemeris-style data for a lunar node; the South Node is exactly opposite"""
+        north = self._north_node_longitude(julian_day)
+        
+        # Daily motion by central difference over one day
+        speed = ((self._north_node_longitude(julian_day + 0.5)
+                  - self._north_node_longitude(julian_day - 0.5) + 180) % 360) - 180
+        
+        return {
+            "longitude": north if planet == Planet.NORTH_NODE else (north + 180) % 360,
+            "latitude": 0.0,
+            "speed": speed,
+            "distance": 0.0
+        }
+    
     def _set_chart_planet(self, chart: HumanDesignChart, planet_name: str, 
                          position: PlanetaryPosition, layer: str):
         """Set planet position in chart"""
@@ -406,12 +1281,8 @@ class HumanDesignCalculator:
     
     def _degree_to_sign(self, longitude: float) -> str:
         """Convert degree to zodiac sign"""
-        signs = [
-            "Aries", "Taurus", "Gemini", "Cancer", "Leo", "Virgo",
-            "Libra", "Scorpio", "Sagittarius", "Capricorn", "Aquarius", "Pisces"
-        ]
         sign_index = int(longitude / 30)
-        return signs[sign_index % 12]
+        return self.ZODIAC_SIGNS[sign_index % 12]
     
     def _extract_mind_gates(self, chart: HumanDesignChart) -> List[int]:
         """Extract gates relevant to Mind (Head + Ajna centers)"""
@@ -420,11 +1291,9 @@ class HumanDesignCalculator:
         mind_center_gates = [64, 61, 63, 47, 24, 4, 17, 43, 11]
         
         chart_gates = []
-        for attr_name in dir(chart):
-            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
-                planet_pos = getattr(chart, attr_name)
-                if planet_pos and planet_pos.gate in mind_center_gates:
-                    chart_gates.append(planet_pos.gate)
+        for planet_pos in chart.planetary_positions():
+            if planet_pos.gate in mind_center_gates:
+                chart_gates.append(planet_pos.gate)
         
         return list(set(chart_gates))  # Unique gates only
     
@@ -435,34 +1304,27 @@ class HumanDesignCalculator:
         heart_center_gates = [1, 13, 7, 2, 15, 46, 25, 10, 21, 40, 26, 51]
         
         chart_gates = []
-        for attr_name in dir(chart):
-            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
-                planet_pos = getattr(chart, attr_name)
-                if planet_pos and planet_pos.gate in heart_center_gates:
-                    chart_gates.append(planet_pos.gate)
+        for planet_pos in chart.planetary_positions():
+            if planet_pos.gate in heart_center_gates:
+                chart_gates.append(planet_pos.gate)
         
         return list(set(chart_gates))
     
     def _extract_body_gates(self, chart: HumanDesignChart) -> List[int]:
         """Extract all gates for full body chart"""
         chart_gates = []
-        for attr_name in dir(chart):
-            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
-                planet_pos = getattr(chart, attr_name)
-                if planet_pos:
-                    chart_gates.append(planet_pos.gate)
+        for planet_pos in chart.planetary_positions():
+            chart_gates.append(planet_pos.gate)
         
         return list(set(chart_gates))
     
     def _determine_type(self, chart: HumanDesignChart) -> str:
-        """Determine Human Design type (simplified)"""
-        # This would use proper center definition logic
-        # For now, return mock value
-        return "Generator"
+        """Determine Human Design type from motor-to-throat connectivity"""
+        return Bodygraph.determine_type(chart.defined_channels)
     
     def _determine_authority(self, chart: HumanDesignChart) -> str:
-        """Determine authority (simplified)"""
-        return "Sacral Authority"
+        """Determine authority from the defined centers"""
+        return Bodygraph.determine_authority(chart.defined_channels)
     
     def _determine_profile(self, chart: HumanDesignChart) -> str:
         """Determine profile from Sun/Earth lines"""
@@ -471,12 +1333,1189 @@ class HumanDesignCalculator:
             design_line = chart.design_sun.line
             return f"{personality_line}/{design_line}"
         return "Unknown"
+    
+    def _determine_incarnation_cross(self, chart: HumanDesignChart) -> str:
+        """Determine incarnation cross from Sun/Earth gates and profile"""
+        if not (chart.personality_sun and chart.personality_earth
+                and chart.design_sun and chart.design_earth):
+            return ""
+        
+        # Draconic charts can produce line pairs outside the 12 profiles
+        if not IncarnationCross.is_standard_profile(chart.profile):
+            return ""
+        return IncarnationCross.name(
+            chart.personality_sun.gate, chart.personality_earth.gate,
+            chart.design_sun.gate, chart.design_earth.gate,
+            chart.profile
+        )
+
+# ===== TRANSIT CALENDAR (INGRESSES & STATIONS) =====
+
+@dataclass
+class TransitEvent:
+    """A gate/line/sign ingress or a station, timed to the second"""
+    planet: str
+    event_type: str     # "gate", "line", "sign", "station"
+    from_value: str     # e.g. "41.6", "Aries", "direct"
+    to_value: str       # e.g. "19.1", "Taurus", "retrograde"
+    julian_day: float
+    moment: datetime    # UTC
+    longitude: float    # Longitude at the event, in the scanned zodiac
+    
+    @property
+    def summary(self) -> str:
+        """One-line description used for calendar entries"""
+        planet = self.planet.replace("_", " ").title()
+        if self.event_type == "station":
+            return f"{planet} stations {self.to_value}"
+        if self.event_type == "sign":
+            return f"{planet} enters {self.to_value}"
+        return f"{planet} enters {self.event_type} {self.to_value}"
+    
+    def to_dict(self) -> Dict:
+        return {
+            "planet": self.planet,
+            "event_type": self.event_type,
+            "from": self.from_value,
+            "to": self.to_value,
+            "julian_day": self.julian_day,
+            "moment": self.moment.isoformat(),
+            "longitude": self.longitude,
+            "summary": self.summary
+        }
+
+class TransitCalendar:
+    """
+    Scans a date range for ingresses and stations
+    Events are bracketed by stepping each body (with shorter steps near
+    stations), then refined by bisection
+    """
+    
+    EVENT_TYPES = ["gate", "line", "sign", "station"]
+    
+    # Sampling step per body; must be shorter than the quickest line transit (0.9375°)
+    SCAN_STEP_DAYS = {
+        Planet.MOON: 1 / 24,
+        Planet.SUN: 0.25,
+        Planet.EARTH: 0.25,
+        Planet.MERCURY: 0.25,
+        Planet.VENUS: 0.25,
+        Planet.MARS: 0.5,
+    }
+    DEFAULT_STEP_DAYS = 1.0
+    
+    # Bodies that turn retrograde (Sun, Moon, Earth and nodes do not station)
+    STATION_PLANETS = [
+        Planet.MERCURY, Planet.VENUS, Planet.MARS, Planet.JUPITER,
+        Planet.SATURN, Planet.URANUS, Planet.NEPTUNE, Planet.PLUTO, Planet.CHIRON
+    ]
+    
+    # Mean geocentric motion (°/day); below SLOW_RATIO of it a body is near a station
+    MEAN_DAILY_MOTION = {
+        Planet.MERCURY: 0.9856, Planet.VENUS: 0.9856, Planet.MARS: 0.5240,
+        Planet.JUPITER: 0.0831, Planet.SATURN: 0.0335, Planet.URANUS: 0.0117,
+        Planet.NEPTUNE: 0.0060, Planet.PLUTO: 0.0040, Planet.CHIRON: 0.0195
+    }
+    SLOW_RATIO = 0.25
+    MIN_STEP_DAYS = 1 / 24
+    
+    TIME_TOLERANCE = 1 / 86400  # Root-finding precision: one second
+    
+    def __init__(self, calculator: Optional[HumanDesignCalculator] = None,
+                 zodiac_system: ZodiacSystem = ZodiacSystem.TROPICAL):
+        self.calculator = calculator or HumanDesignCalculator()
+        self.zodiac_system = zodiac_system
+    
+    def scan(self, start: datetime, end: datetime,
+             planets: Optional[List[Planet]] = None,
+             event_types: Optional[List[str]] = None) -> List[TransitEvent]:
+        """
+        Find every ingress and station between two instants
+        
+        Args:
+            start: Range start (naive datetimes are taken as UTC)
+            end: Range end
+            planets: Bodies to scan (default: all)
+            event_types: Subset of EVENT_TYPES (default: all)
+            
+        Returns:
+            Events in chronological order
+        """
+        event_types = event_types or self.EVENT_TYPES
+        unknown = set(event_types) - set(self.EVENT_TYPES)
+        if unknown:
+            raise ValueError(f"Unknown event types: {', '.join(sorted(unknown))}")
+        
+        ephemeris = self.calculator.ephemeris
+        start_jd = ephemeris.datetime_to_julian_day(start)
+        end_jd = ephemeris.datetime_to_julian_day(end)
+        if end_jd <= start_jd:
+            raise ValueError("Transit calendar end must be after its start")
+        
+        events = []
+        for planet in planets or list(Planet):
+            events.extend(self._scan_planet(planet, start_jd, end_jd, event_types))
+        
+        events.sort(key=lambda event: (event.julian_day, event.planet))
+        return events
+    
+    @staticmethod
+    def to_json(events: List[TransitEvent]) -> str:
+        """Serialize events as a JSON array"""
+        return json.dumps([event.to_dict() for event in events], indent=2)
+    
+    @classmethod
+    def to_ics(cls, events: List[TransitEvent],
+               calendar_name: str = "Human Design Transits",
+               generated_at: Optional[datetime] = None) -> str:
+        """
+        Serialize events as an iCalendar (RFC 5545) document
+        generated_at becomes every DTSTAMP (default: now)
+        """
+        generated_at = generated_at or datetime.now(timezone.utc)
+        if generated_at.tzinfo is not None:
+            generated_at = generated_at.astimezone(timezone.utc)
+        dtstamp = generated_at.strftime("%Y%m%dT%H%M%SZ")
+        
+        lines = [
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "PRODID:-//YOU-N-I-VERSE//Transit Calendar//EN",
+            "CALSCALE:GREGORIAN",
+            f"X-WR-CALNAME:{cls._ics_escape(calendar_name)}"
+        ]
+        for event in events:
+            stamp = event.moment.strftime("%Y%m%dT%H%M%SZ")
+            lines.extend([
+                "BEGIN:VEVENT",
+                f"UID:{stamp}-{event.planet.lower()}-{event.event_type}-{event.to_value}@you-n-i-verse",
+                f"DTSTAMP:{dtstamp}",
+                f"DTSTART:{stamp}",
+                f"SUMMARY:{cls._ics_escape(event.summary)}",
+                f"DESCRIPTION:{cls._ics_escape(f'{event.from_value} -> {event.to_value} at {event.longitude:.4f}°')}",
+                "TRANSP:TRANSPARENT",
+                "END:VEVENT"
+            ])
+        lines.append("END:VCALENDAR")
+        
+        return "\r\n".join(cls._ics_fold(line) for line in lines) + "\r\n"
+    
+    def _scan_planet(self, planet: Planet, start_jd: float, end_jd: float,
+                     event_types: List[str]) -> List[TransitEvent]:
+        """Step one body through the range and refine each detected change"""
+        step = self.SCAN_STEP_DAYS.get(planet, self.DEFAULT_STEP_DAYS)
+        
+        # Each tracked quantity: event type -> function of ephemeris data
+        states = {}
+        if "gate" in event_types:
+            states["gate"] = lambda data: GateWheel.degree_to_gate(data["longitude"])
+        if "line" in event_types:
+            states["line"] = lambda data: GateWheel.activation(data["longitude"])[:2]
+        if "sign" in event_types:
+            states["sign"] = lambda data: int(data["longitude"] // 30) % 12
+        if "station" in event_types and planet in self.STATION_PLANETS:
+            states["station"] = lambda data: data["speed"] < 0
+        
+        events = []
+        t0 = start_jd
+        data0 = self._position(planet, t0)
+        while t0 < end_jd and states:
+            t1 = min(t0 + self._step(planet, step, data0["speed"]), end_jd)
+            data1 = self._position(planet, t1)
+            
+            # A body can cross a boundary and recross it around a station, so
+            # each side of a station inside the step is checked on its own
+            samples = [(t0, data0), (t1, data1)]
+            if planet in self.STATION_PLANETS and (data0["speed"] < 0) != (data1["speed"] < 0):
+                station = self._bisect(planet, lambda data: data["speed"] < 0, t0, t1)
+                samples.insert(1, (station, self._position(planet, station)))
+            
+            for (ta, data_a), (tb, data_b) in zip(samples, samples[1:]):
+                for event_type, state in states.items():
+                    before, after = state(data_a), state(data_b)
+                    if before == after:
+                        continue
+                    # Line changes at a gate boundary are reported as gate ingresses
+                    # when gates are scanned too; otherwise they stay line events
+                    if event_type == "line" and "gate" in states and before[0] != after[0]:
+                        continue
+                    events.append(self._refine(planet, event_type, state, ta, tb))
+            
+            t0, data0 = t1, data1
+        
+        return events
+    
+    def _step(self, planet: Planet, step: float, speed: float) -> float:
+        """Scan step, shortened while the body slows towards a station"""
+        mean_motion = self.MEAN_DAILY_MOTION.get(planet)
+        if mean_motion is None:
+            return step
+        ratio = abs(speed) / mean_motion
+        if ratio >= self.SLOW_RATIO:
+            return step
+        return max(step * ratio / self.SLOW_RATIO, self.MIN_STEP_DAYS)
+    
+    def _bisect(self, planet: Planet, state, t0: float, t1: float) -> float:
+        """First moment (to TIME_TOLERANCE) where state differs from its value at t0"""
+        before = state(self._position(planet, t0))
+        while t1 - t0 > self.TIME_TOLERANCE:
+            mid = (t0 + t1) / 2
+            if state(self._position(planet, mid)) == before:
+                t0 = mid
+            else:
+                t1 = mid
+        return t1
+    
+    def _refine(self, planet: Planet, event_type: str, state,
+                t0: float, t1: float) -> TransitEvent:
+        """Bisect a bracketing interval down to TIME_TOLERANCE"""
+        before = state(self._position(planet, t0))
+        t1 = self._bisect(planet, state, t0, t1)
+        
+        data = self._position(planet, t1)
+        after = state(data)
+        return TransitEvent(
+            planet=planet.name,
+            event_type=event_type,
+            from_value=self._format_state(event_type, before),
+            to_value=self._format_state(event_type, after),
+            julian_day=t1,
+            moment=self.calculator.ephemeris.julian_day_to_datetime(t1).replace(tzinfo=timezone.utc),
+            longitude=data["longitude"]
+        )
+    
+    def _position(self, planet: Planet, julian_day: float) -> Dict:
+        """Position of a body in the scanned zodiac"""
+        return self.calculator.calculate_zodiac_position(planet, julian_day, self.zodiac_system)
+    
+    @staticmethod
+    def _format_state(event_type: str, value) -> str:
+        """Human-readable form of a tracked state"""
+        if event_type == "gate":
+            return str(value)
+        if event_type == "line":
+            return f"{value[0]}.{value[1]}"
+        if event_type == "sign":
+            return HumanDesignCalculator.ZODIAC_SIGNS[value]
+        return "retrograde" if value else "direct"
+    
+    @staticmethod
+    def _ics_escape(text: str) -> str:
+        """Escape iCalendar TEXT values"""
+        return (text.replace("\\", "\\\\").replace(";", "\\;")
+                .replace(",", "\\,").replace("\n", "\\n"))
+    
+    @staticmethod
+    def _ics_fold(line: str) -> str:
+        """Fold content lines longer than 75 octets"""
+        encoded = line.encode("utf-8")
+        if len(encoded) <= 75:
+            return line
+        
+        parts = []
+        while len(encoded) > 75:
+            cut = 75 if not parts else 74  # Continuation lines start with a space
+            while cut > 0 and (encoded[cut] & 0xC0) == 0x80:
+                cut -= 1  # Never split a UTF-8 sequence
+            parts.append(encoded[:cut].decode("utf-8"))
+            encoded = encoded[cut:]
+        parts.append(encoded.decode("utf-8"))
+        return "\r\n ".join(parts)
+
+# ===== SOLAR & LUNAR RETURNS =====
+
+@dataclass
+class ReturnChart:
+    """Chart cast for a solar or lunar return, with its gate diff against natal"""
+    return_type: str                 # "solar" or "lunar"
+    julian_day: float
+    moment: datetime                 # UTC
+    chart: HumanDesignChart
+    new_gates: List[int]             # Activated in the return only
+    shared_gates: List[int]          # Activated in both charts
+    released_gates: List[int]        # Natal gates the return does not activate
+    planet_changes: Dict[str, Dict[str, str]] = field(default_factory=dict)
+    
+    def to_dict(self) -> Dict:
+        return {
+            "return_type": self.return_type,
+            "julian_day": self.julian_day,
+            "moment": self.moment.isoformat(),
+            "chart": ChartExporter.export_for_wheel_view(self.chart),
+            "new_gates": self.new_gates,
+            "shared_gates": self.shared_gates,
+            "released_gates": self.released_gates,
+            "planet_changes": self.planet_changes
+        }
+
+class ReturnCalculator:
+    """
+    Solar and lunar return charts on top of HumanDesignCalculator
+    The return body is matched to its natal longitude in the natal chart's zodiac
+    """
+    
+    MEAN_DAILY_MOTION = {Planet.SUN: 0.9856, Planet.MOON: 13.1764}
+    RETURN_TOLERANCE = 1e-6  # Degrees of arc
+    RETURN_MAX_ITERATIONS = 50
+    
+    def __init__(self, calculator: Optional[HumanDesignCalculator] = None):
+        """
+        Args:
+            calculator: Supplies the ephemeris; returns are cast with the natal
+                chart's ayanamsa and node model (see calculator_for)
+        """
+        self.calculator = calculator or HumanDesignCalculator()
+    
+    def calculator_for(self, natal: HumanDesignChart) -> HumanDesignCalculator:
+        """Calculator on this ephemeris with the natal chart's ayanamsa and node model"""
+        # Charts loaded from JSON carry no user ayanamsa; fall back to the calculator's
+        user_ayanamsa = natal.user_ayanamsa or self.calculator.user_ayanamsa
+        if (user_ayanamsa == self.calculator.user_ayanamsa
+                and natal.node_model == self.calculator.node_model):
+            return self.calculator
+        return HumanDesignCalculator(self.calculator.ephemeris, user_ayanamsa=user_ayanamsa,
+                                     node_model=natal.node_model)
+    
+    def solar_return(self, natal: HumanDesignChart, year: int,
+                     latitude: Optional[float] = None,
+                     longitude: Optional[float] = None) -> ReturnChart:
+        """Chart for the Sun's return to its natal longitude during a calendar year (UTC)"""
+        start = datetime(year, 1, 1, tzinfo=timezone.utc)
+        return self._cast_return(Planet.SUN, natal, start, latitude, longitude)
+    
+    def lunar_return(self, natal: HumanDesignChart, year: int, month: int,
+                     latitude: Optional[float] = None,
+                     longitude: Optional[float] = None) -> ReturnChart:
+        """Chart for the first lunar return in a calendar month (UTC)"""
+        start = datetime(year, month, 1, tzinfo=timezone.utc)
+        return self._cast_return(Planet.MOON, natal, start, latitude, longitude)
+    
+    def find_return(self, planet: Planet, natal_longitude: float,
+                    after_jd: float, zodiac_system: ZodiacSystem,
+                    calculator: Optional[HumanDesignCalculator] = None) -> float:
+        """First instant after a Julian Day where a body returns to a longitude"""
+        calculator = calculator or self.calculator
+        rate = self.MEAN_DAILY_MOTION[planet]
+        position = calculator.calculate_zodiac_position(planet, after_jd, zodiac_system)
+        return_jd = after_jd + ((natal_longitude - position["longitude"]) % 360) / rate
+        
+        for _ in range(self.RETURN_MAX_ITERATIONS):
+            position = calculator.calculate_zodiac_position(planet, return_jd, zodiac_system)
+            error = ((position["longitude"] - natal_longitude + 180) % 360) - 180
+            if abs(error) <= self.RETURN_TOLERANCE:
+                return return_jd
+            return_jd -= error / (position["speed"] or rate)
+        
+        raise RuntimeError(
+            f"{planet.name.title()} return did not converge to {self.RETURN_TOLERANCE}° "
+            f"within {self.RETURN_MAX_ITERATIONS} iterations"
+        )
+    
+    def _cast_return(self, planet: Planet, natal: HumanDesignChart, start: datetime,
+                     latitude: Optional[float], longitude: Optional[float]) -> ReturnChart:
+        """Locate the return, calculate its chart and diff it against the natal chart"""
+        natal_position = getattr(natal, f"personality_{planet.name.lower()}")
+        if natal_position is None:
+            raise ValueError(f"Natal chart has no personality {planet.name.lower()} position")
+        
+        calculator = self.calculator_for(natal)
+        ephemeris = calculator.ephemeris
+        return_jd = self.find_return(
+            planet, natal_position.longitude,
+            ephemeris.datetime_to_julian_day(start), natal.zodiac_system, calculator
+        )
+        moment = ephemeris.julian_day_to_datetime(return_jd).replace(tzinfo=timezone.utc)
+        
+        # Relocated returns use the given coordinates, otherwise the birth place
+        chart = calculator.calculate_chart(
+            moment,
+            natal.location["latitude"] if latitude is None else latitude,
+            natal.location["longitude"] if longitude is None else longitude,
+            natal.zodiac_system
+        )
+        
+        natal_gates = set(CompositeAnalyzer.chart_gates(natal))
+        return_gates = set(CompositeAnalyzer.chart_gates(chart))
+        
+        # Personality activations that moved to a different gate or line
+        planet_changes = {}
+        for body in HD_ACTIVATION_PLANETS:
+            attr_name = f"personality_{body.name.lower()}"
+            before, after = getattr(natal, attr_name), getattr(chart, attr_name)
+            if before is None or after is None:
+                continue
+            if (before.gate, before.line) != (after.gate, after.line):
+                planet_changes[body.name.lower()] = {
+                    "natal": f"{before.gate}.{before.line}",
+                    "return": f"{after.gate}.{after.line}"
+                }
+        
+        return ReturnChart(
+            return_type="solar" if planet == Planet.SUN else "lunar",
+            julian_day=return_jd,
+            moment=moment,
+            chart=chart,
+            new_gates=sorted(return_gates - natal_gates),
+            shared_gates=sorted(return_gates & natal_gates),
+            released_gates=sorted(natal_gates - return_gates),
+            planet_changes=planet_changes
+        )
+
+# ===== LIFE CYCLES (PLANETARY RETURNS & OPPOSITIONS) =====
+
+@dataclass
+class CycleMilestone:
+    """One life-cycle milestone, e.g. the 1st Saturn Return"""
+    cycle: str                   # Key in CycleCalculator.CYCLES
+    label: str                   # e.g. "1st Saturn Return"
+    planet: str
+    number: int                  # 1 for the first occurrence, 2 for the second...
+    target_longitude: float      # Natal longitude plus the cycle's aspect
+    gate: int                    # Gate/line the transiting planet activates
+    line: int
+    passes: List[datetime] = field(default_factory=list)  # Exact hits (UTC); retrograde loops give up to 3
+    age_years: float = 0.0       # Age at the first exact hit
+    
+    def to_dict(self) -> Dict:
+        return {
+            "cycle": self.cycle,
+            "label": self.label,
+            "planet": self.planet,
+            "number": self.number,
+            "target_longitude": self.target_longitude,
+            "gate": self.gate,
+            "line": self.line,
+            "passes": [moment.isoformat() for moment in self.passes],
+            "age_years": self.age_years
+        }
+
+class CycleCalculator:
+    """
+    Life-cycle milestones for a chart: Jupiter and Saturn returns,
+    the Uranus opposition and the Chiron return
+    """
+    
+    # cycle key: (planet, aspect to natal position, display name)
+    CYCLES = {
+        "jupiter_return": (Planet.JUPITER, 0.0, "Jupiter Return"),
+        "saturn_return": (Planet.SATURN, 0.0, "Saturn Return"),
+        "uranus_opposition": (Planet.URANUS, 180.0, "Uranus Opposition"),
+        "chiron_return": (Planet.CHIRON, 0.0, "Chiron Return"),
+    }
+    
+    # Days either side of the exact hits during which a milestone counts as active
+    ACTIVE_WINDOW_DAYS = {
+        "jupiter_return": 60,
+        "saturn_return": 365,
+        "uranus_opposition": 365,
+        "chiron_return": 365,
+    }
+    
+    SCAN_START_YEARS = 2      # Skip retrograde re-crossings just after birth
+    SCAN_STEP_DAYS = 10.0
+    PASS_GROUPING_DAYS = 500  # Exact hits closer than this belong to one milestone
+    TIME_TOLERANCE = 1 / 1440  # One minute
+    DAYS_PER_YEAR = 365.25
+    
+    def __init__(self, calculator: Optional[HumanDesignCalculator] = None):
+        self.calculator = calculator or HumanDesignCalculator()
+    
+    def milestones(self, chart: HumanDesignChart, max_age: float = 90.0,
+                   cycles: Optional[List[str]] = None) -> List[CycleMilestone]:
+        """All milestones from birth up to max_age, in chronological order"""
+        ephemeris = self.calculator.ephemeris
+        birth_jd = ephemeris.datetime_to_julian_day(chart.birth_datetime)
+        start_jd = birth_jd + self.SCAN_START_YEARS * self.DAYS_PER_YEAR
+        end_jd = birth_jd + max_age * self.DAYS_PER_YEAR
+        
+        results = []
+        for cycle in cycles or list(self.CYCLES):
+            planet, aspect, name = self.CYCLES[cycle]
+            natal = self.calculator.calculate_zodiac_position(
+                planet, birth_jd, chart.zodiac_system
+            )
+            target = (natal["longitude"] + aspect) % 360
+            gate, line = GateWheel.activation(target)[:2]
+            
+            # Group exact hits into milestones
+            groups: List[List[float]] = []
+            for hit_jd in self._exact_hits(planet, target, start_jd, end_jd, chart.zodiac_system):
+                if groups and hit_jd - groups[-1][-1] < self.PASS_GROUPING_DAYS:
+                    groups[-1].append(hit_jd)
+                else:
+                    groups.append([hit_jd])
+            
+            for number, hits in enumerate(groups, start=1):
+                results.append(CycleMilestone(
+                    cycle=cycle,
+                    label=f"{self._ordinal(number)} {name}",
+                    planet=planet.name,
+                    number=number,
+                    target_longitude=target,
+                    gate=gate,
+                    line=line,
+                    passes=[
+                        ephemeris.julian_day_to_datetime(hit).replace(tzinfo=timezone.utc)
+                        for hit in hits
+                    ],
+                    age_years=round((hits[0] - birth_jd) / self.DAYS_PER_YEAR, 2)
+                ))
+        
+        results.sort(key=lambda milestone: milestone.passes[0])
+        return results
+    
+    def current_cycle(self, chart: HumanDesignChart, moment: datetime) -> Dict:
+        """Active, previous and next milestones around an instant (naive = UTC)"""
+        if moment.tzinfo is None:
+            moment = moment.replace(tzinfo=timezone.utc)
+        
+        active, previous, upcoming = None, None, None
+        for milestone in self.milestones(chart):
+            window = timedelta(days=self.ACTIVE_WINDOW_DAYS[milestone.cycle])
+            if milestone.passes[0] - window <= moment <= milestone.passes[-1] + window:
+                active = active or milestone
+            if milestone.passes[-1] < moment:
+                previous = milestone
+            elif milestone.passes[0] > moment and upcoming is None:
+                upcoming = milestone
+        
+        return {
+            "as_of": moment.isoformat(),
+            "active": active.to_dict() if active else None,
+            "previous": previous.to_dict() if previous else None,
+            "next": upcoming.to_dict() if upcoming else None
+        }
+    
+    def _exact_hits(self, planet: Planet, target: float, start_jd: float,
+                    end_jd: float, zodiac_system: ZodiacSystem) -> List[float]:
+        """Julian Days where a body crosses a longitude, refined by bisection"""
+        def offset(julian_day: float) -> float:
+            position = self.calculator.calculate_zodiac_position(planet, julian_day, zodiac_system)
+            return ((position["longitude"] - target + 180) % 360) - 180
+        
+        hits = []
+        t0, d0 = start_jd, offset(start_jd)
+        while t0 < end_jd:
+            t1 = min(t0 + self.SCAN_STEP_DAYS, end_jd)
+            d1 = offset(t1)
+            
+            # A sign change near zero is a crossing; near ±180 it is only the wrap-around
+            if (d0 < 0) != (d1 < 0) and abs(d0) < 90 and abs(d1) < 90:
+                lo, hi, d_lo = t0, t1, d0
+                while hi - lo > self.TIME_TOLERANCE:
+                    mid = (lo + hi) / 2
+                    d_mid = offset(mid)
+                    if (d_mid < 0) == (d_lo < 0):
+                        lo, d_lo = mid, d_mid
+                    else:
+                        hi = mid
+                hits.append(hi)
+            
+            t0, d0 = t1, d1
+        
+        return hits
+    
+    @staticmethod
+    def _ordinal(number: int) -> str:
+        """1 -> 1st, 2 -> 2nd, 3 -> 3rd, 4 -> 4th..."""
+        suffix = "th" if 10 <= number % 100 <= 20 else {1: "st", 2: "nd", 3: "rd"}.get(number % 10, "th")
+        return f"{number}{suffix}"
+
+# ===== COMPOSITE (CONNECTION) ANALYSIS =====
+
+class ConnectionType(Enum):
+    """How two people together define a channel"""
+    ELECTROMAGNETIC = "electromagnetic"  # Each brings one gate of the channel
+    COMPANIONSHIP = "companionship"      # Both define the channel
+    DOMINANCE = "dominance"              # One defines it, the other has neither gate
+    COMPROMISE = "compromise"            # One defines it, the other has one gate
+
+class CompositeAnalyzer:
+    """Connection chart analysis for two people"""
+    
+    # Fixed keys for the two people; their names are values, so any name is safe
+    PERSON_KEYS = ("person_a", "person_b")
+    
+    @staticmethod
+    def chart_gates(chart: HumanDesignChart) -> List[int]:
+        """Unique gates activated anywhere in a chart"""
+        return sorted({pos.gate for pos in chart.planetary_positions()})
+    
+    @classmethod
+    def classify_channel(cls, channel: Tuple[int, int], gates_a: List[int],
+                         gates_b: List[int]) -> Optional[ConnectionType]:
+        """Connection type of one channel, or None if the pair does not define it"""
+        g1, g2 = channel
+        has_a = {g for g in (g1, g2) if g in gates_a}
+        has_b = {g for g in (g1, g2) if g in gates_b}
+        
+        if len(has_a) == 2 and len(has_b) == 2:
+            return ConnectionType.COMPANIONSHIP
+        if len(has_a) == 2 or len(has_b) == 2:
+            other = has_b if len(has_a) == 2 else has_a
+            return ConnectionType.COMPROMISE if other else ConnectionType.DOMINANCE
+        if has_a | has_b == {g1, g2}:
+            return ConnectionType.ELECTROMAGNETIC
+        return None
+    
+    @classmethod
+    def analyze(cls, chart_a: HumanDesignChart, chart_b: HumanDesignChart,
+                names: Tuple[str, str] = ("person_a", "person_b")) -> Dict:
+        """
+        Relationship report for two charts
+        
+        Returns:
+            Channel classifications (with each person's gates under
+            PERSON_KEYS), centers defined only in the composite and the
+            composite type/definition; "people" maps PERSON_KEYS to names
+        """
+        key_a, key_b = cls.PERSON_KEYS
+        gates_a = cls.chart_gates(chart_a)
+        gates_b = cls.chart_gates(chart_b)
+        
+        channels = []
+        counts = {connection.value: 0 for connection in ConnectionType}
+        for g1, g2, name in Bodygraph.CHANNELS:
+            connection = cls.classify_channel((g1, g2), gates_a, gates_b)
+            if connection is None:
+                continue
+            counts[connection.value] += 1
+            channels.append({
+                "channel": [g1, g2],
+                "name": name,
+                "connection": connection.value,
+                key_a: [g for g in (g1, g2) if g in gates_a],
+                key_b: [g for g in (g1, g2) if g in gates_b]
+            })
+        
+        composite_channels = [tuple(entry["channel"]) for entry in channels]
+        composite_centers = Bodygraph.defined_centers(composite_channels)
+        individual_centers = set(chart_a.defined_centers) | set(chart_b.defined_centers)
+        
+        return {
+            "people": {key_a: names[0], key_b: names[1]},
+            "gates": {key_a: gates_a, key_b: gates_b},
+            "channels": channels,
+            "connection_counts": counts,
+            "defined_centers": [center.value for center in composite_centers],
+            "composite_only_centers": [
+                center.value for center in composite_centers
+                if center.value not in individual_centers
+            ],
+            "type": Bodygraph.determine_type(composite_channels),
+            "definition": Bodygraph.determine_definition(composite_channels)
+        }
+
+# ===== PENTA (GROUP) ANALYSIS =====
+
+class PentaAnalyzer:
+    """Group dynamics for 3-5 people across the penta gates and channels"""
+    
+    PENTA_CHANNELS = [(1, 8), (7, 31), (13, 33), (5, 15), (2, 14), (29, 46)]
+    PENTA_GATES = [1, 8, 7, 31, 13, 33, 15, 5, 2, 14, 46, 29]
+    MIN_MEMBERS = 3
+    MAX_MEMBERS = 5
+    
+    @classmethod
+    def analyze(cls, charts: List[HumanDesignChart],
+                names: Optional[List[str]] = None) -> Dict:
+        """
+        Combined penta for a small group
+        
+        Args:
+            charts: 3-5 member charts
+            names: Member labels (default: member_1, member_2, ...)
+            
+        Returns:
+            Penta gate holders, filled channels with contributors, and gaps
+        """
+        if not cls.MIN_MEMBERS <= len(charts) <= cls.MAX_MEMBERS:
+            raise ValueError(
+                f"A penta needs {cls.MIN_MEMBERS}-{cls.MAX_MEMBERS} charts, got {len(charts)}"
+            )
+        names = names or [f"member_{i + 1}" for i in range(len(charts))]
+        if len(names) != len(charts):
+            raise ValueError("Penta needs exactly one name per chart")
+        
+        # Who carries each penta gate
+        gate_holders = {gate: [] for gate in cls.PENTA_GATES}
+        for name, chart in zip(names, charts):
+            for gate in CompositeAnalyzer.chart_gates(chart):
+                if gate in gate_holders:
+                    gate_holders[gate].append(name)
+        
+        filled_channels = []
+        gaps = []
+        for g1, g2 in cls.PENTA_CHANNELS:
+            entry = {
+                "channel": [g1, g2],
+                "name": Bodygraph.channel_name(g1, g2),
+                "contributors": {str(g1): gate_holders[g1], str(g2): gate_holders[g2]}
+            }
+            if gate_holders[g1] and gate_holders[g2]:
+                filled_channels.append(entry)
+            else:
+                entry["missing_gates"] = [g for g in (g1, g2) if not gate_holders[g]]
+                gaps.append(entry)
+        
+        return {
+            "members": names,
+            "penta_gates": {str(gate): holders for gate, holders in gate_holders.items()},
+            "group_gates": [gate for gate in cls.PENTA_GATES if gate_holders[gate]],
+            "missing_gates": [gate for gate in cls.PENTA_GATES if not gate_holders[gate]],
+            "filled_channels": filled_channels,
+            "gaps": gaps,
+            "complete": not gaps
+        }
+
+# ===== SVG RENDERING =====
+
+class SvgRenderer:
+    """Shared helpers for deterministic, standalone SVG output"""
+    
+    LAYER_COLORS = {
+        "personality": "#1f1f1f",
+        "design": "#c0392b",
+    }
+    INACTIVE_COLOR = "#e3e3e3"
+    OUTLINE_COLOR = "#7f8c8d"
+    FONT_FAMILY = "Helvetica, Arial, sans-serif"
+    
+    PLANET_GLYPHS = {
+        Planet.SUN: "☉", Planet.EARTH: "⊕", Planet.MOON: "☽",
+        Planet.NORTH_NODE: "☊", Planet.SOUTH_NODE: "☋", Planet.MERCURY: "☿",
+        Planet.VENUS: "♀", Planet.MARS: "♂", Planet.JUPITER: "♃",
+        Planet.SATURN: "♄", Planet.URANUS: "♅", Planet.NEPTUNE: "♆",
+        Planet.PLUTO: "♇", Planet.CHIRON: "⚷",
+    }
+    
+    @staticmethod
+    def _num(value: float) -> str:
+        """Fixed-precision coordinate so output is byte-for-byte reproducible"""
+        text = f"{value:.2f}".rstrip("0").rstrip(".")
+        return "0" if text == "-0" else text
+    
+    @staticmethod
+    def _escape(text: str) -> str:
+        """Escape text for XML content and attributes"""
+        return (text.replace("&", "&amp;").replace("<", "&lt;")
+                .replace(">", "&gt;").replace('"', "&quot;"))
+    
+    @classmethod
+    def _document(cls, width: int, height: int, title: str, body: List[str]) -> str:
+        """Wrap drawing elements in a standalone SVG document"""
+        return "\n".join([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            f'<svg xmlns="http://www.w3.org/2000/svg" width="{width}" height="{height}" '
+            f'viewBox="0 0 {width} {height}" font-family="{cls.FONT_FAMILY}">',
+            f'<title>{cls._escape(title)}</title>',
+            f'<rect x="0" y="0" width="{width}" height="{height}" fill="#ffffff"/>',
+            *body,
+            '</svg>'
+        ]) + "\n"
+    
+    @classmethod
+    def _gate_layers(cls, chart: HumanDesignChart) -> Dict[int, List[str]]:
+        """Layers ("design", "personality") activating each gate"""
+        layers: Dict[int, List[str]] = {}
+        for pos in chart.planetary_positions():
+            if pos.layer not in layers.setdefault(pos.gate, []):
+                layers[pos.gate].append(pos.layer)
+        for gate in layers:
+            layers[gate].sort()
+        return layers
+
+class BodygraphRenderer(SvgRenderer):
+    """
+    Standalone SVG bodygraph: centers filled by definition, channel halves
+    colored by activating layer, gate numbers and the two planet columns
+    """
+    
+    WIDTH = 640
+    HEIGHT = 760
+    
+    # Center outlines as polygons
+    CENTER_SHAPES = {
+        Center.HEAD: [(320, 30), (275, 105), (365, 105)],
+        Center.AJNA: [(275, 125), (365, 125), (320, 200)],
+        Center.THROAT: [(280, 220), (360, 220), (360, 300), (280, 300)],
+        Center.G_CENTER: [(320, 320), (370, 370), (320, 420), (270, 370)],
+        Center.HEART: [(380, 395), (440, 395), (410, 435)],
+        Center.SOLAR_PLEXUS: [(510, 470), (510, 570), (430, 520)],
+        Center.SACRAL: [(280, 500), (360, 500), (360, 580), (280, 580)],
+        Center.SPLEEN: [(130, 470), (130, 570), (210, 520)],
+        Center.ROOT: [(280, 620), (360, 620), (360, 700), (280, 700)],
+    }
+    
+    # Defined-center fills (undefined centers are white)
+    CENTER_COLORS = {
+        Center.HEAD: "#f7dc6f",
+        Center.AJNA: "#58d68d",
+        Center.THROAT: "#b9770e",
+        Center.G_CENTER: "#f7dc6f",
+        Center.HEART: "#e74c3c",
+        Center.SOLAR_PLEXUS: "#b9770e",
+        Center.SACRAL: "#e74c3c",
+        Center.SPLEEN: "#b9770e",
+        Center.ROOT: "#b9770e",
+    }
+    
+    # Where each gate sits on its center; channels run between these anchors
+    GATE_POSITIONS = {
+        # Head
+        64: (290, 105), 61: (320, 105), 63: (350, 105),
+        # Ajna
+        47: (290, 125), 24: (320, 125), 4: (350, 125),
+        17: (298, 162), 43: (320, 195), 11: (342, 162),
+        # Throat
+        62: (295, 220), 23: (320, 220), 56: (345, 220),
+        16: (280, 235), 20: (280, 265),
+        35: (360, 235), 12: (360, 255), 45: (360, 280),
+        31: (300, 300), 8: (320, 300), 33: (340, 300),
+        # G Center
+        7: (300, 340), 1: (320, 320), 13: (340, 340),
+        10: (270, 370), 25: (370, 370),
+        15: (300, 400), 2: (320, 420), 46: (340, 400),
+        # Heart
+        21: (425, 395), 51: (385, 402), 26: (398, 420), 40: (428, 415),
+        # Spleen
+        48: (138, 475), 57: (158, 488), 44: (178, 500), 50: (198, 512),
+        32: (146, 560), 28: (166, 548), 18: (186, 535),
+        # Solar Plexus
+        36: (498, 478), 22: (478, 490), 37: (458, 502), 6: (438, 515),
+        49: (494, 560), 55: (474, 548), 30: (454, 535),
+        # Sacral
+        5: (295, 500), 14: (320, 500), 29: (345, 500),
+        34: (280, 515), 27: (280, 560), 59: (360, 560),
+        42: (295, 580), 3: (320, 580), 9: (345, 580),
+        # Root
+        53: (295, 620), 60: (320, 620), 52: (345, 620),
+        54: (280, 640), 38: (280, 660), 58: (280, 680),
+        19: (360, 640), 39: (360, 660), 41: (360, 680),
+    }
+    
+    CHANNEL_WIDTH = 6
+    COLUMN_X = {"design": 20, "personality": 540}
+    COLUMN_TOP = 60
+    ROW_HEIGHT = 44
+    
+    @classmethod
+    def render(cls, chart: HumanDesignChart) -> str:
+        """SVG document for a chart"""
+        gate_layers = cls._gate_layers(chart)
+        defined_centers = {Center(value) for value in chart.defined_centers}
+        
+        body = []
+        body.extend(cls._render_channels(gate_layers))
+        body.extend(cls._render_centers(defined_centers))
+        body.extend(cls._render_gates(gate_layers))
+        for layer in ("design", "personality"):
+            body.extend(cls._render_planet_column(chart, layer))
+        
+        title = f"Bodygraph: {chart.hd_type or 'Human Design'} {chart.profile}".strip()
+        return cls._document(cls.WIDTH, cls.HEIGHT, title, body)
+    
+    @classmethod
+    def _render_channels(cls, gate_layers: Dict[int, List[str]]) -> List[str]:
+        """Each channel as two halves, one per gate, colored by that gate's layers"""
+        elements = ['<g id="channels" stroke-linecap="butt">']
+        for g1, g2, name in Bodygraph.CHANNELS:
+            x1, y1 = cls.GATE_POSITIONS[g1]
+            x2, y2 = cls.GATE_POSITIONS[g2]
+            mx, my = (x1 + x2) / 2, (y1 + y2) / 2
+            
+            elements.append(f'<g id="channel-{g1}-{g2}"><title>{cls._escape(name)} ({g1}-{g2})</title>')
+            for gate, (x, y) in ((g1, (x1, y1)), (g2, (x2, y2))):
+                elements.extend(cls._channel_half(gate_layers.get(gate, []), x, y, mx, my))
+            elements.append('</g>')
+        elements.append('</g>')
+        return elements
+    
+    @classmethod
+    def _channel_half(cls, layers: List[str], x: float, y: float,
+                      mx: float, my: float) -> List[str]:
+        """Line segments for one gate's half of a channel"""
+        coords = f'x1="{cls._num(x)}" y1="{cls._num(y)}" x2="{cls._num(mx)}" y2="{cls._num(my)}"'
+        if not layers:
+            return [f'<line {coords} stroke="{cls.INACTIVE_COLOR}" stroke-width="{cls.CHANNEL_WIDTH}"/>']
+        if len(layers) == 1:
+            return [f'<line {coords} stroke="{cls.LAYER_COLORS[layers[0]]}" '
+                    f'stroke-width="{cls.CHANNEL_WIDTH}"/>']
+        
+        # Both layers: design underneath with a personality core
+        return [
+            f'<line {coords} stroke="{cls.LAYER_COLORS["design"]}" stroke-width="{cls.CHANNEL_WIDTH}"/>',
+            f'<line {coords} stroke="{cls.LAYER_COLORS["personality"]}" '
+            f'stroke-width="{cls._num(cls.CHANNEL_WIDTH / 3)}"/>'
+        ]
+    
+    @classmethod
+    def _render_centers(cls, defined_centers) -> List[str]:
+        """Center polygons, colored when defined"""
+        elements = ['<g id="centers">']
+        for center in Center:
+            points = " ".join(f"{cls._num(x)},{cls._num(y)}" for x, y in cls.CENTER_SHAPES[center])
+            fill = cls.CENTER_COLORS[center] if center in defined_centers else "#ffffff"
+            state = "defined" if center in defined_centers else "undefined"
+            elements.append(
+                f'<polygon id="center-{center.value}" class="{state}" points="{points}" '
+                f'fill="{fill}" stroke="{cls.OUTLINE_COLOR}" stroke-width="1.5"/>'
+            )
+        elements.append('</g>')
+        return elements
+    
+    @classmethod
+    def _render_gates(cls, gate_layers: Dict[int, List[str]]) -> List[str]:
+        """Gate numbers, circled when activated"""
+        elements = ['<g id="gates" font-size="8" text-anchor="middle">']
+        for gate in sorted(cls.GATE_POSITIONS):
+            x, y = cls.GATE_POSITIONS[gate]
+            active = gate in gate_layers
+            if active:
+                elements.append(
+                    f'<circle cx="{cls._num(x)}" cy="{cls._num(y)}" r="6" fill="#ffffff" '
+                    f'stroke="{cls.OUTLINE_COLOR}" stroke-width="0.75"/>'
+                )
+            weight = "bold" if active else "normal"
+            elements.append(
+                f'<text x="{cls._num(x)}" y="{cls._num(y + 3)}" font-weight="{weight}">{gate}</text>'
+            )
+        elements.append('</g>')
+        return elements
+    
+    @classmethod
+    def _render_planet_column(cls, chart: HumanDesignChart, layer: str) -> List[str]:
+        """Glyph and Gate.Line for every activation of one layer"""
+        x = cls.COLUMN_X[layer]
+        color = cls.LAYER_COLORS[layer]
+        elements = [
+            f'<g id="{layer}-column" fill="{color}">',
+            f'<text x="{x}" y="{cls.COLUMN_TOP - 25}" font-size="13" font-weight="bold">'
+            f'{layer.title()}</text>'
+        ]
+        for row, planet in enumerate(HD_ACTIVATION_PLANETS):
+            pos = getattr(chart, f"{layer}_{planet.name.lower()}")
+            if pos is None:
+                continue
+            y = cls.COLUMN_TOP + row * cls.ROW_HEIGHT
+            elements.append(
+                f'<text x="{x}" y="{y}" font-size="16"><title>{planet.name.replace("_", " ").title()}</title>'
+                f'{cls.PLANET_GLYPHS[planet]}</text>'
+            )
+            elements.append(
+                f'<text x="{x + 24}" y="{y}" font-size="13">{pos.gate}.{pos.line}</text>'
+            )
+        elements.append('</g>')
+        return elements
+
+class MandalaRenderer(SvgRenderer):
+    """
+    Standalone SVG mandala wheel: zodiac ring, 64-gate ring in GATE_ORDER with
+    line ticks, and personality/design glyphs placed by longitude.
+    0° of the chart's zodiac sits on the left, longitude increases counter-clockwise.
+    """
+    
+    SIZE = 800
+    SIGN_OUTER = 385
+    SIGN_INNER = 345
+    GATE_OUTER = 345
+    GATE_INNER = 295
+    LINE_TICK = 7
+    PLANET_RADIUS = {"personality": 260, "design": 200}
+    GLYPH_SPACING = 6.0  # Minimum angular gap before glyphs are stacked inwards
+    GLYPH_STEP = 18      # Radial step for stacked glyphs
+    MAX_STACK_DEPTH = 2  # Deeper stacks would reach the next ring
+    
+    SIGN_GLYPHS = ["♈", "♉", "♊", "♋", "♌", "♍", "♎", "♏", "♐", "♑", "♒", "♓"]
+    SIGN_FILLS = ["#fdfefe", "#f4f6f7"]
+    ACTIVE_GATE_FILLS = {
+        ("personality",): "#d5d8dc",
+        ("design",): "#f5b7b1",
+        ("design", "personality"): "#e8daef",
+    }
+    
+    @classmethod
+    def render(cls, chart: HumanDesignChart) -> str:
+        """SVG wheel for a chart, drawn in the chart's zodiac system"""
+        gate_layers = cls._gate_layers(chart)
+        
+        body = []
+        body.extend(cls._render_sign_ring())
+        body.extend(cls._render_gate_ring(gate_layers))
+        body.extend(cls._render_planets(chart))
+        body.append(
+            f'<text x="{cls.SIZE // 2}" y="{cls.SIZE // 2}" font-size="16" text-anchor="middle" '
+            f'fill="{cls.OUTLINE_COLOR}">{cls._escape(cls._system_label(chart.zodiac_system))}</text>'
+        )
+        
+        title = f"Mandala ({cls._system_label(chart.zodiac_system)})"
+        return cls._document(cls.SIZE, cls.SIZE, title, body)
+    
+    @classmethod
+    def render_systems(cls, calculator: HumanDesignCalculator, birth_datetime: datetime,
+                       latitude: float, longitude: float,
+                       systems: Optional[List[ZodiacSystem]] = None) -> Dict[str, str]:
+        """One wheel per zodiac system for side-by-side comparison"""
+        wheels = {}
+        for system in systems or [ZodiacSystem.TROPICAL, ZodiacSystem.TRUE_SIDEREAL]:
+            chart = calculator.calculate_chart(birth_datetime, latitude, longitude, system)
+            wheels[system.value] = cls.render(chart)
+        return wheels
+    
+    @classmethod
+    def _point(cls, longitude: float, radius: float) -> Tuple[float, float]:
+        """Screen coordinates of a longitude at a radius"""
+        angle = math.radians(longitude)
+        center = cls.SIZE / 2
+        return center - radius * math.cos(angle), center + radius * math.sin(angle)
+    
+    @classmethod
+    def _sector(cls, start: float, end: float, outer: float, inner: float) -> str:
+        """Path data for an annular sector between two longitudes"""
+        x1, y1 = cls._point(start, outer)
+        x2, y2 = cls._point(end, outer)
+        x3, y3 = cls._point(end, inner)
+        x4, y4 = cls._point(start, inner)
+        n = cls._num
+        return (f"M {n(x1)} {n(y1)} A {outer} {outer} 0 0 0 {n(x2)} {n(y2)} "
+                f"L {n(x3)} {n(y3)} A {inner} {inner} 0 0 1 {n(x4)} {n(y4)} Z")
+    
+    @classmethod
+    def _render_sign_ring(cls) -> List[str]:
+        """Twelve 30° sign sectors with glyphs"""
+        elements = ['<g id="signs" font-size="20" text-anchor="middle">']
+        for index, glyph in enumerate(cls.SIGN_GLYPHS):
+            start = index * 30.0
+            path = cls._sector(start, start + 30, cls.SIGN_OUTER, cls.SIGN_INNER)
+            elements.append(
+                f'<path id="sign-{index + 1}" d="{path}" fill="{cls.SIGN_FILLS[index % 2]}" '
+                f'stroke="{cls.OUTLINE_COLOR}" stroke-width="1"/>'
+            )
+            x, y = cls._point(start + 15, (cls.SIGN_OUTER + cls.SIGN_INNER) / 2)
+            elements.append(
+                f'<text x="{cls._num(x)}" y="{cls._num(y + 7)}">'
+                f'<title>{HumanDesignCalculator.ZODIAC_SIGNS[index]}</title>{glyph}</text>'
+            )
+        elements.append('</g>')
+        return elements
+    
+    @classmethod
+    def _render_gate_ring(cls, gate_layers: Dict[int, List[str]]) -> List[str]:
+        """64 gate sectors in mandala order, with a tick at every line boundary"""
+        elements = ['<g id="gates" font-size="10" text-anchor="middle">']
+        for gate in GateWheel.GATE_ORDER:
+            start, end = GateWheel.activation_range(gate)
+            fill = cls.ACTIVE_GATE_FILLS.get(tuple(gate_layers.get(gate, [])), "#ffffff")
+            path = cls._sector(start, end, cls.GATE_OUTER, cls.GATE_INNER)
+            elements.append(
+                f'<path id="gate-{gate}" d="{path}" fill="{fill}" '
+                f'stroke="{cls.OUTLINE_COLOR}" stroke-width="0.75"/>'
+            )
+            x, y = cls._point((start + end) / 2, (cls.GATE_OUTER + cls.GATE_INNER) / 2)
+            weight = "bold" if gate in gate_layers else "normal"
+            elements.append(
+                f'<text x="{cls._num(x)}" y="{cls._num(y + 4)}" font-weight="{weight}">{gate}</text>'
+            )
+            
+            # Line ticks inside the gate (the gate edges are drawn by the sector)
+            for line in range(2, 7):
+                tick = start + (line - 1) * GateWheel.LINE_DEGREE_SIZE
+                x1, y1 = cls._point(tick, cls.GATE_INNER)
+                x2, y2 = cls._point(tick, cls.GATE_INNER + cls.LINE_TICK)
+                elements.append(
+                    f'<line x1="{cls._num(x1)}" y1="{cls._num(y1)}" x2="{cls._num(x2)}" '
+                    f'y2="{cls._num(y2)}" stroke="{cls.OUTLINE_COLOR}" stroke-width="0.5"/>'
+                )
+        elements.append('</g>')
+        return elements
+    
+    @classmethod
+    def _render_planets(cls, chart: HumanDesignChart) -> List[str]:
+        """Planet glyphs on two rings, with a pointer to the exact longitude"""
+        elements = []
+        for layer in ("personality", "design"):
+            color = cls.LAYER_COLORS[layer]
+            elements.append(f'<g id="{layer}-planets" fill="{color}" font-size="18" text-anchor="middle">')
+            
+            positions = [
+                (getattr(chart, f"{layer}_{planet.name.lower()}"), planet)
+                for planet in HD_ACTIVATION_PLANETS
+            ]
+            positions = sorted(
+                [(pos, planet) for pos, planet in positions if pos is not None],
+                key=lambda item: (item[0].longitude, item[1].value)
+            )
+            
+            # Stack glyphs inwards when they would overlap the previous one;
+            # past MAX_STACK_DEPTH start a new stack GLYPH_SPACING further along the wheel
+            previous, depth = None, 0
+            for pos, planet in positions:
+                crowded = (previous is not None
+                           and (pos.longitude - previous) % 360 < cls.GLYPH_SPACING)
+                depth = depth + 1 if crowded else 0
+                previous = pos.longitude
+                stack, level = divmod(depth, cls.MAX_STACK_DEPTH + 1)
+                radius = cls.PLANET_RADIUS[layer] - level * cls.GLYPH_STEP
+                
+                x1, y1 = cls._point(pos.longitude, cls.GATE_INNER)
+                x2, y2 = cls._point(pos.longitude, cls.GATE_INNER - 12)
+                x, y = cls._point(pos.longitude + stack * cls.GLYPH_SPACING, radius)
+                label = f"{planet.name.replace('_', ' ').title()} {pos.gate}.{pos.line} ({pos.longitude:.2f}°)"
+                elements.append(
+                    f'<line x1="{cls._num(x1)}" y1="{cls._num(y1)}" x2="{cls._num(x2)}" '
+                    f'y2="{cls._num(y2)}" stroke="{color}" stroke-width="1.5"/>'
+                )
+                elements.append(
+                    f'<text x="{cls._num(x)}" y="{cls._num(y + 6)}"><title>{cls._escape(label)}</title>'
+                    f'{cls.PLANET_GLYPHS[planet]}</text>'
+                )
+            elements.append('</g>')
+        return elements
+    
+    @staticmethod
+    def _system_label(system: ZodiacSystem) -> str:
+        """Display name of a zodiac system"""
+        return system.value.replace("_", " ").title()
 
 # ===== CHART EXPORT FOR VISUALIZATION =====
 
+class ChartSchemaError(ValueError):
+    """Serialized chart does not match the chart JSON schema"""
+    
+    def __init__(self, path: str, message: str):
+        super().__init__(f"{path}: {message}" if path else message)
+        self.path = path
+
 class ChartExporter:
     """Export chart data for visualization"""
     
+    SCHEMA_FORMAT = "you-n-i-verse/hd-chart"
+    SCHEMA_VERSION = 1
+    
+    LAYER_CENTERS = {
+        "mind": [Center.HEAD, Center.AJNA],
+        "heart": [Center.G_CENTER, Center.HEART],
+        "body": list(Center),
+    }
+    
+    # PlanetaryPosition field -> (JSON type(s), allowed range or values)
+    POSITION_SCHEMA = {
+        "planet": (str, None),
+        "longitude": ((int, float), (0.0, 360.0)),
+        "latitude": ((int, float), (-90.0, 90.0)),
+        "speed": ((int, float), None),
+        "sign": (str, HumanDesignCalculator.ZODIAC_SIGNS),
+        "degree": ((int, float), (0.0, 30.0)),
+        "minute": ((int, float), (0.0, 60.0)),
+        "second": ((int, float), (0.0, 60.0)),
+        "gate": (int, (1, 64)),
+        "line": (int, (1, 6)),
+        "color": (int, (1, 6)),
+        "tone": (int, (1, 6)),
+        "base": (int, (1, 5)),
+        "layer": (str, ["personality", "design"]),
+    }
+    
     @staticmethod
     def export_for_wheel_view(chart: HumanDesignChart) -> Dict:
         """Export chart in format for wheel visualization"""
@@ -484,29 +2523,31 @@ class ChartExporter:
         planets_data = []
         
         # Collect all planetary positions
-        for attr_name in dir(chart):
-            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
-                planet_pos = getattr(chart, attr_name)
-                if planet_pos:
-                    planets_data.append({
-                        "planet": planet_pos.planet,
-                        "layer": planet_pos.layer,
-                        "longitude": planet_pos.longitude,
-                        "gate": planet_pos.gate,
-                        "line": planet_pos.line,
-                        "sign": planet_pos.sign,
-                        "degree": planet_pos.degree
-                    })
+        for planet_pos in chart.planetary_positions():
+            planets_data.append({
+                "planet": planet_pos.planet,
+                "layer": planet_pos.layer,
+                "longitude": planet_pos.longitude,
+                "gate": planet_pos.gate,
+                "line": planet_pos.line,
+                "sign": planet_pos.sign,
+                "degree": planet_pos.degree
+            })
         
         return {
             "zodiac_system": chart.zodiac_system.value,
+            "node_model": chart.node_model.value,
             "planets": planets_data,
             "mind_gates": chart.mind_gates,
             "heart_gates": chart.heart_gates,
             "body_gates": chart.body_gates,
+            "defined_centers": chart.defined_centers,
+            "defined_channels": [list(channel) for channel in chart.defined_channels],
             "type": chart.hd_type,
             "authority": chart.authority,
-            "profile": chart.profile
+            "profile": chart.profile,
+            "definition": chart.definition,
+            "incarnation_cross": chart.incarnation_cross
         }
     
     @staticmethod
@@ -517,22 +2558,267 @@ class ChartExporter:
             gates = chart.mind_gates
         elif layer == "heart":
             gates = chart.heart_gates
-        else:
+        elif layer == "body":
             gates = chart.body_gates
+        else:
+            raise ValueError(f"Unknown layer {layer!r}; expected mind, heart or body")
         
         # Find planets activating these gates
         activating_planets = []
-        for attr_name in dir(chart):
-            if attr_name.startswith('personality_') or attr_name.startswith('design_'):
-                planet_pos = getattr(chart, attr_name)
-                if planet_pos and planet_pos.gate in gates:
-                    activating_planets.append({
-                        "planet": planet_pos.planet,
-                        "gate": planet_pos.gate,
-                        "line": planet_pos.line,
-                        "longitude": planet_pos.longitude
-                    })
+        for planet_pos in chart.planetary_positions():
+            if planet_pos.gate in gates:
+                activating_planets.append({
+                    "planet": planet_pos.planet,
+                    "layer": planet_pos.layer,
+                    "gate": planet_pos.gate,
+                    "line": planet_pos.line,
+                    "longitude": planet_pos.longitude
+                })
+        
+        # Centers and defined channels that belong to this layer
+        layer_centers = ChartExporter.LAYER_CENTERS[layer]
+        channels = [
+            list(channel) for channel in chart.defined_channels
+            if channel[0] in gates and channel[1] in gates
+        ]
         
         return {
             "layer": layer,
+            "gates": gates,
+            "activating_planets": activating_planets,
+            "centers": [center.value for center in layer_centers],
+            "defined_centers": [
+                center.value for center in layer_centers
+                if center.value in chart.defined_centers
+            ],
+            "defined_channels": channels
+        }
+    
+    @classmethod
+    def to_dict(cls, chart: HumanDesignChart) -> Dict:
+        """Full chart in the versioned serialization format"""
+        positions = {"personality": {}, "design": {}}
+        for layer in positions:
+            for planet in HD_ACTIVATION_PLANETS:
+                pos = getattr(chart, f"{layer}_{planet.name.lower()}")
+                if pos is not None:
+                    positions[layer][planet.name.lower()] = {
+                        name: getattr(pos, name) for name in cls.POSITION_SCHEMA
+                    }
+        
+        return {
+            "format": cls.SCHEMA_FORMAT,
+            "version": cls.SCHEMA_VERSION,
+            "birth_datetime": chart.birth_datetime.isoformat(),
+            "location": dict(chart.location),
+            "zodiac_system": chart.zodiac_system.value,
+            "node_model": chart.node_model.value,
+            "design": {
+                "datetime": chart.design_datetime.isoformat() if chart.design_datetime else None,
+                "julian_day": chart.design_julian_day,
+                "tolerance": chart.design_tolerance
+            },
+            "positions": positions,
+            "properties": {
+                "type": chart.hd_type,
+                "authority": chart.authority,
+                "profile": chart.profile,
+                "definition": chart.definition,
+                "incarnation_cross": chart.incarnation_cross
+            },
+            "defined_channels": [list(channel) for channel in chart.defined_channels],
+            "defined_centers": list(chart.defined_centers),
+            "layers": {
+                "mind": list(chart.mind_gates),
+                "heart": list(chart.heart_gates),
+                "body": list(chart.body_gates)
+            }
+        }
+    
+    @classmethod
+    def to_json(cls, chart: HumanDesignChart, indent: Optional[int] = 2) -> str:
+        """Serialize a chart to versioned JSON"""
+        return json.dumps(cls.to_dict(chart), indent=indent, ensure_ascii=False)
+    
+    @classmethod
+    def from_json(cls, text: str) -> HumanDesignChart:
+        """Rebuild a chart from to_json output; raises ChartSchemaError if invalid"""
+        try:
+            data = json.loads(text)
+        except json.JSONDecodeError as error:
+            raise ChartSchemaError("", f"invalid JSON ({error})") from None
+        return cls.from_dict(data)
+    
+    @classmethod
+    def from_dict(cls, data: Dict) -> HumanDesignChart:
+        """Rebuild a chart from to_dict output; raises ChartSchemaError if invalid"""
+        cls.validate(data)
+        
+        design = data["design"]
+        chart = HumanDesignChart(
+            birth_datetime=datetime.fromisoformat(data["birth_datetime"]),
+            location={
+                "latitude": data["location"]["latitude"],
+                "longitude": data["location"]["longitude"]
+            },
+            zodiac_system=ZodiacSystem(data["zodiac_system"]),
+            node_model=NodeModel(data["node_model"]),
+            design_datetime=(
+                datetime.fromisoformat(design["datetime"]) if design["datetime"] else None
+            ),
+            design_julian_day=design["julian_day"],
+            design_tolerance=design["tolerance"],
+            hd_type=data["properties"]["type"],
+            authority=data["properties"]["authority"],
+            profile=data["properties"]["profile"],
+            definition=data["properties"]["definition"],
+            incarnation_cross=data["properties"]["incarnation_cross"],
+            defined_channels=[tuple(channel) for channel in data["defined_channels"]],
+            defined_centers=list(data["defined_centers"]),
+            mind_gates=list(data["layers"]["mind"]),
+            heart_gates=list(data["layers"]["heart"]),
+            body_gates=list(data["layers"]["body"])
+        )
+        
+        for layer, planets in data["positions"].items():
+            for planet_name, values in planets.items():
+                setattr(chart, f"{layer}_{planet_name}", PlanetaryPosition(**values))
+        
+        return chart
     
+    @classmethod
+    def validate(cls, data: Dict):
+        """Check a serialized chart against the schema; raises ChartSchemaError"""
+        cls._expect(data, dict, "")
+        if data.get("format") != cls.SCHEMA_FORMAT:
+            raise ChartSchemaError("format", f"expected {cls.SCHEMA_FORMAT!r}")
+        if data.get("version") != cls.SCHEMA_VERSION:
+            raise ChartSchemaError(
+                "version", f"unsupported version {data.get('version')!r} "
+                f"(this build reads version {cls.SCHEMA_VERSION})"
+            )
+        
+        cls._expect(cls._field(data, "birth_datetime", ""), str, "birth_datetime")
+        cls._expect_datetime(data["birth_datetime"], "birth_datetime")
+        
+        location = cls._expect(cls._field(data, "location", ""), dict, "location")
+        for key, limit in (("latitude", 90.0), ("longitude", 180.0)):
+            cls._expect_number(cls._field(location, key, "location"), f"location.{key}", (-limit, limit))
+        
+        cls._expect_choice(cls._field(data, "zodiac_system", ""), ZodiacSystem, "zodiac_system")
+        cls._expect_choice(cls._field(data, "node_model", ""), NodeModel, "node_model")
+        
+        design = cls._expect(cls._field(data, "design", ""), dict, "design")
+        if cls._field(design, "datetime", "design") is not None:
+            cls._expect(design["datetime"], str, "design.datetime")
+            cls._expect_datetime(design["datetime"], "design.datetime")
+        cls._expect_number(cls._field(design, "julian_day", "design"), "design.julian_day")
+        cls._expect_number(cls._field(design, "tolerance", "design"), "design.tolerance")
+        
+        # All 26 activations: 13 bodies in each layer
+        positions = cls._expect(cls._field(data, "positions", ""), dict, "positions")
+        expected_planets = {planet.name.lower(): planet for planet in HD_ACTIVATION_PLANETS}
+        for layer in ("personality", "design"):
+            planets = cls._expect(cls._field(positions, layer, "positions"), dict, f"positions.{layer}")
+            missing = sorted(set(expected_planets) - set(planets))
+            extra = sorted(set(planets) - set(expected_planets))
+            if missing or extra:
+                problems = [f"missing {', '.join(missing)}"] if missing else []
+                problems += [f"unexpected {', '.join(extra)}"] if extra else []
+                raise ChartSchemaError(f"positions.{layer}", "; ".join(problems))
+            for planet_name, values in planets.items():
+                cls._validate_position(values, f"positions.{layer}.{planet_name}",
+                                       expected_planets[planet_name], layer)
+        extra_layers = sorted(set(positions) - {"personality", "design"})
+        if extra_layers:
+            raise ChartSchemaError("positions", f"unexpected {', '.join(extra_layers)}")
+        
+        properties = cls._expect(cls._field(data, "properties", ""), dict, "properties")
+        for key in ("type", "authority", "profile", "definition", "incarnation_cross"):
+            cls._expect(cls._field(properties, key, "properties"), str, f"properties.{key}")
+        
+        channels = cls._expect(cls._field(data, "defined_channels", ""), list, "defined_channels")
+        known_channels = {(g1, g2) for g1, g2, _ in Bodygraph.CHANNELS}
+        for index, channel in enumerate(channels):
+            path = f"defined_channels[{index}]"
+            cls._expect(channel, list, path)
+            if len(channel) != 2:
+                raise ChartSchemaError(path, f"{channel!r} is not a bodygraph channel")
+            for position, gate in enumerate(channel):
+                cls._expect(gate, int, f"{path}[{position}]")
+            if tuple(channel) not in known_channels:
+                raise ChartSchemaError(path, f"{channel!r} is not a bodygraph channel")
+        
+        centers = cls._expect(cls._field(data, "defined_centers", ""), list, "defined_centers")
+        for index, center in enumerate(centers):
+            cls._expect_choice(center, Center, f"defined_centers[{index}]")
+        
+        layers = cls._expect(cls._field(data, "layers", ""), dict, "layers")
+        for layer in ("mind", "heart", "body"):
+            gates = cls._expect(cls._field(layers, layer, "layers"), list, f"layers.{layer}")
+            for index, gate in enumerate(gates):
+                cls._expect_number(gate, f"layers.{layer}[{index}]", (1, 64), int)
+    
+    @classmethod
+    def _validate_position(cls, values, path: str, planet: Planet, layer: str):
+        """Check one serialized PlanetaryPosition"""
+        cls._expect(values, dict, path)
+        extra = sorted(set(values) - set(cls.POSITION_SCHEMA))
+        if extra:
+            raise ChartSchemaError(path, f"unexpected {', '.join(extra)}")
+        
+        for name, (kind, allowed) in cls.POSITION_SCHEMA.items():
+            value = cls._field(values, name, path)
+            field_path = f"{path}.{name}"
+            if kind is str:
+                cls._expect(value, str, field_path)
+                if allowed is not None and value not in allowed:
+                    raise ChartSchemaError(field_path, f"{value!r} is not one of {', '.join(allowed)}")
+            else:
+                cls._expect_number(value, field_path, allowed, kind)
+        
+        if values["planet"] != planet.name:
+            raise ChartSchemaError(f"{path}.planet", f"expected {planet.name!r}")
+        if values["layer"] != layer:
+            raise ChartSchemaError(f"{path}.layer", f"expected {layer!r}")
+    
+    @staticmethod
+    def _field(container: Dict, key: str, path: str):
+        """Required member of a JSON object"""
+        if key not in container:
+            raise ChartSchemaError(path, f"missing required field {key!r}")
+        return container[key]
+    
+    @staticmethod
+    def _expect(value, kind, path: str):
+        """Type check (bool never counts as a number)"""
+        if not isinstance(value, kind) or (isinstance(value, bool) and kind is not bool):
+            name = kind.__name__ if isinstance(kind, type) else "/".join(k.__name__ for k in kind)
+            raise ChartSchemaError(path, f"expected {name}, got {type(value).__name__}")
+        return value
+    
+    @classmethod
+    def _expect_number(cls, value, path: str, bounds: Optional[Tuple] = None,
+                       kind=(int, float)):
+        """Numeric type and inclusive range check"""
+        cls._expect(value, kind, path)
+        if bounds is not None and not bounds[0] <= value <= bounds[1]:
+            raise ChartSchemaError(path, f"{value} outside {bounds[0]}-{bounds[1]}")
+        return value
+    
+    @staticmethod
+    def _expect_choice(value, enum_type, path: str):
+        """Value of an Enum"""
+        try:
+            return enum_type(value)
+        except ValueError:
+            choices = ", ".join(member.value for member in enum_type)
+            raise ChartSchemaError(path, f"{value!r} is not one of {choices}") from None
+    
+    @staticmethod
+    def _expect_datetime(value: str, path: str):
+        """ISO 8601 timestamp"""
+        try:
+            return datetime.fromisoformat(value)
+        except ValueError:
+            raise ChartSchemaError(path, f"{value!r} is not an ISO 8601 timestamp") from None
@@ -0,0 +1,50 @@
+"""Shared test helpers: load the project modules (their file names are not importable) and build charts"""
+
+import datetime
+import importlib.machinery
+import importlib.util
+import os
+import sys
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+
+def load(module_name: str, file_name: str):
+    """Load a module from the repository root once and share it between tests"""
+    if module_name in sys.modules:
+        return sys.modules[module_name]
+    
+    loader = importlib.machinery.SourceFileLoader(module_name, os.path.join(ROOT, file_name))
+    spec = importlib.util.spec_from_loader(module_name, loader)
+    module = importlib.util.module_from_spec(spec)
+    sys.modules[module_name] = module
+    loader.exec_module(module)
+    return module
+
+def hdchart():
+    # Same module name Cynthiacore2.js uses, so both see one copy
+    return load("hdchart", "Hdchart.js")
+
+def cynthia():
+    hdchart()
+    return load("cynthiacore", "Cynthiacore2.js")
+
+def chart_from_gates(personality_gates, design_gates=()):
+    """
+    Tropical chart whose activations sit on the given gates (line 1)
+    Planets beyond the listed gates repeat the first gate of their layer.
+    """
+    hd = hdchart()
+    calculator = hd.HumanDesignCalculator()
+    chart = hd.HumanDesignChart(
+        birth_datetime=datetime.datetime(2000, 1, 1, 12, 0),
+        location={"latitude": 0.0, "longitude": 0.0},
+        zodiac_system=hd.ZodiacSystem.TROPICAL
+    )
+    for layer, gates in (("personality", personality_gates), ("design", design_gates or personality_gates)):
+        for index, planet in enumerate(hd.HD_ACTIVATION_PLANETS):
+            gate = gates[index] if index < len(gates) else gates[0]
+            start, _ = hd.GateWheel.activation_range(gate, 1)
+            position = calculator.position_from_longitude(planet, start + 0.01, layer)
+            setattr(chart, f"{layer}_{planet.name.lower()}", position)
+    calculator.derive_properties(chart)
+    return chart
@@ -0,0 +1,60 @@
+"""Ayanamsa models and sidereal agreement between calculators"""
+
+import datetime
+import unittest
+
+from support import cynthia, hdchart
+
+hd = hdchart()
+cc = cynthia()
+
+J2000 = 2451545.0
+
+# Swiss Ephemeris ayanamsa at J2000 (swetest -ay, documented in the Swiss
+# Ephemeris manual); Raman and Krishnamurti are defined at 1900 and carry a
+# few arcseconds of precession-model difference
+SWISS_EPHEMERIS_J2000 = {
+    "Lahiri": 23.857092,
+    "Fagan-Bradley": 24.740300,
+    "Raman": 22.410791,
+    "Krishnamurti": 23.760240,
+}
+TOLERANCE = 0.001  # 3.6"
+
+class AyanamsaTest(unittest.TestCase):
+    
+    def test_j2000_values(self):
+        for model in (hd.Ayanamsa.LAHIRI, hd.Ayanamsa.FAGAN_BRADLEY,
+                      hd.Ayanamsa.RAMAN, hd.Ayanamsa.KRISHNAMURTI):
+            with self.subTest(model.name):
+                self.assertAlmostEqual(hd.Ayanamsa.value(model, J2000),
+                                       SWISS_EPHEMERIS_J2000[model.name], delta=TOLERANCE)
+    
+    def test_value_at_epoch_is_offset(self):
+        model = hd.AyanamsaModel("House", 2440000.5, 23.5)
+        self.assertAlmostEqual(hd.Ayanamsa.value(model, model.epoch_jd), 23.5, places=12)
+        # About 50.3" of precession per year
+        self.assertAlmostEqual(hd.Ayanamsa.value(model, model.epoch_jd + 365.25) - 23.5,
+                               50.29 / 3600, delta=0.05 / 3600)
+    
+    def test_user_system_needs_model(self):
+        with self.assertRaises(ValueError):
+            hd.Ayanamsa.model_for(hd.ZodiacSystem.SIDEREAL_USER)
+        self.assertIsNone(hd.Ayanamsa.model_for(hd.ZodiacSystem.TROPICAL))
+    
+    def test_calculators_agree(self):
+        moment = datetime.datetime(1990, 6, 15, 21, 30, tzinfo=datetime.timezone.utc)
+        systems = [hd.ZodiacSystem.TRUE_SIDEREAL, hd.ZodiacSystem.SIDEREAL_FAGAN,
+                   hd.ZodiacSystem.SIDEREAL_RAMAN, hd.ZodiacSystem.SIDEREAL_KRISHNAMURTI]
+        for system in systems:
+            with self.subTest(system.value):
+                chart = hd.HumanDesignCalculator().calculate_chart(moment, 0.0, 0.0, system)
+                activations = cc.SPEC1Calculator(system).calculate_activations(moment, use_sidereal=True)
+                for planet in hd.HD_ACTIVATION_PLANETS:
+                    position = getattr(chart, f"personality_{planet.name.lower()}")
+                    trinity = activations[planet.name.lower()]
+                    self.assertEqual((position.gate, position.line, position.color),
+                                     (trinity.gate, trinity.line, trinity.color))
+
+if __name__ == "__main__":
+    unittest.main()
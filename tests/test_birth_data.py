@@ -0,0 +1,39 @@
+"""BirthData local time resolution"""
+
+import datetime
+import unittest
+
+from support import cynthia
+
+cc = cynthia()
+
+def birth(hour: int, minute: int, fold=None, month: int = 11, day: int = 4):
+    # 2012-11-04 01:30 happened twice in New York; 2012-03-11 02:30 never happened
+    return cc.BirthData(year=2012, month=month, day=day, hour=hour, minute=minute,
+                        latitude=40.7, longitude=-74.0, timezone="America/New_York", fold=fold)
+
+class BirthDataTest(unittest.TestCase):
+    
+    def test_ambiguous_time_requires_fold(self):
+        with self.assertRaises(cc.AmbiguousBirthTimeError):
+            birth(1, 30).utc_datetime
+        with self.assertRaises(cc.AmbiguousBirthTimeError):
+            birth(1, 30).datetime_obj
+    
+    def test_fold_picks_reading(self):
+        self.assertEqual(birth(1, 30, fold=0).utc_datetime.hour, 5)
+        self.assertEqual(birth(1, 30, fold=1).utc_datetime.hour, 6)
+        self.assertEqual(birth(1, 30, fold=1).datetime_obj.utcoffset(), datetime.timedelta(hours=-5))
+    
+    def test_nonexistent_time_raises(self):
+        with self.assertRaises(cc.NonexistentBirthTimeError):
+            birth(2, 30, month=3, day=11).datetime_obj
+    
+    def test_unknown_zone(self):
+        data = birth(12, 0)
+        data.timezone = "Mars/Olympus_Mons"
+        with self.assertRaises(cc.UnknownTimezoneError):
+            data.utc_datetime
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,57 @@
+"""Channel and center definition, Type and Authority"""
+
+import unittest
+
+from support import chart_from_gates, hdchart
+
+hd = hdchart()
+
+# Activated gates -> (Type, Authority, Definition)
+CASES = [
+    ([41, 19, 13], "Reflector", "Lunar Authority", "No Definition"),
+    ([5, 15], "Generator", "Sacral Authority", "Single Definition"),
+    ([34, 20], "Manifesting Generator", "Sacral Authority", "Single Definition"),
+    ([35, 36], "Manifestor", "Emotional Authority", "Single Definition"),
+    ([21, 45], "Manifestor", "Ego Manifested Authority", "Single Definition"),
+    ([18, 58], "Projector", "Splenic Authority", "Single Definition"),
+    ([25, 51], "Projector", "Ego Projected Authority", "Single Definition"),
+    ([10, 20], "Projector", "Self-Projected Authority", "Single Definition"),
+    ([4, 63], "Projector", "Mental/Environmental Authority", "Single Definition"),
+    ([4, 63, 18, 58], "Projector", "Splenic Authority", "Split Definition"),
+    ([4, 63, 18, 58, 10, 20], "Projector", "Splenic Authority", "Triple Split Definition"),
+]
+
+class BodygraphTest(unittest.TestCase):
+    
+    def test_type_authority_definition(self):
+        for gates, hd_type, authority, definition in CASES:
+            with self.subTest(gates=gates):
+                chart = chart_from_gates(gates)
+                self.assertEqual((chart.hd_type, chart.authority, chart.definition),
+                                 (hd_type, authority, definition))
+    
+    def test_known_chart(self):
+        # Sacral, Solar Plexus, Spleen, G and Throat joined through the integration channels
+        chart = chart_from_gates([34, 20, 59, 6, 57, 10])
+        self.assertEqual(chart.defined_channels,
+                         [(6, 59), (10, 20), (10, 34), (10, 57), (20, 34), (20, 57), (34, 57)])
+        self.assertEqual(chart.defined_centers,
+                         ["throat", "g_center", "solar_plexus", "sacral", "spleen"])
+        self.assertEqual(chart.hd_type, "Manifesting Generator")
+        # The Solar Plexus outranks the Sacral and Spleen
+        self.assertEqual(chart.authority, "Emotional Authority")
+        self.assertEqual(chart.definition, "Single Definition")
+    
+    def test_channels_need_both_gates(self):
+        self.assertEqual(hd.Bodygraph.defined_channels([1, 2, 3]), [])
+        self.assertEqual(hd.Bodygraph.defined_channels([8, 1, 2]), [(1, 8)])
+        self.assertEqual(len(hd.Bodygraph.CHANNELS), 36)
+        self.assertEqual(sum(len(g) for g in hd.Bodygraph.CENTER_GATES.values()), 64)
+    
+    def test_layers_combine(self):
+        # Personality brings gate 34, Design brings gate 20
+        chart = chart_from_gates([34], design_gates=[20])
+        self.assertEqual(chart.defined_channels, [(20, 34)])
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,45 @@
+"""ChartExporter JSON round trip and schema validation"""
+
+import copy
+import datetime
+import unittest
+
+from support import hdchart
+
+hd = hdchart()
+
+class ChartSchemaTest(unittest.TestCase):
+    
+    @classmethod
+    def setUpClass(cls):
+        cls.chart = hd.HumanDesignCalculator().calculate_chart(
+            datetime.datetime(1990, 6, 15, 21, 30), 37.7749, -122.4194, hd.ZodiacSystem.TROPICAL
+        )
+        cls.data = hd.ChartExporter.to_dict(cls.chart)
+    
+    def test_round_trip(self):
+        text = hd.ChartExporter.to_json(self.chart)
+        self.assertEqual(hd.ChartExporter.to_json(hd.ChartExporter.from_json(text)), text)
+    
+    def test_malformed_channels_raise_schema_errors(self):
+        cases = {
+            "defined_channels[0][0]": [[[1], 8]],
+            "defined_channels[0][1]": [[1, "8"]],
+            "defined_channels[0]": [[1, 2, 3]],
+        }
+        for path, channels in cases.items():
+            with self.subTest(channels=channels):
+                data = copy.deepcopy(self.data)
+                data["defined_channels"] = channels
+                with self.assertRaises(hd.ChartSchemaError) as caught:
+                    hd.ChartExporter.validate(data)
+                self.assertEqual(caught.exception.path, path)
+    
+    def test_unknown_channel(self):
+        data = copy.deepcopy(self.data)
+        data["defined_channels"] = [[1, 2]]
+        with self.assertRaises(hd.ChartSchemaError):
+            hd.ChartExporter.validate(data)
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,77 @@
+"""CompositeAnalyzer report structure and connection classification"""
+
+import datetime
+import unittest
+
+from support import chart_from_gates, hdchart
+
+hd = hdchart()
+
+class CompositeAnalyzerTest(unittest.TestCase):
+    
+    @classmethod
+    def setUpClass(cls):
+        calculator = hd.HumanDesignCalculator()
+        cls.chart_a = calculator.calculate_chart(datetime.datetime(1985, 3, 2, 8, 15), 51.5, -0.1, hd.ZodiacSystem.TROPICAL)
+        cls.chart_b = calculator.calculate_chart(datetime.datetime(1991, 9, 20, 22, 40), 40.7, -74.0, hd.ZodiacSystem.TROPICAL)
+    
+    def test_names_never_collide_with_keys(self):
+        for names in [("Sam", "Sam"), ("name", "channel")]:
+            with self.subTest(names=names):
+                report = hd.CompositeAnalyzer.analyze(self.chart_a, self.chart_b, names)
+                self.assertEqual(report["people"], {"person_a": names[0], "person_b": names[1]})
+                self.assertEqual(report["gates"]["person_a"], hd.CompositeAnalyzer.chart_gates(self.chart_a))
+                self.assertEqual(report["gates"]["person_b"], hd.CompositeAnalyzer.chart_gates(self.chart_b))
+                self.assertTrue(report["channels"])
+                for channel in report["channels"]:
+                    self.assertIsInstance(channel["name"], str)
+                    self.assertEqual(set(channel), {"channel", "name", "connection", "person_a", "person_b"})
+
+class ConnectionClassificationTest(unittest.TestCase):
+    """Two charts built so each connection type occurs exactly once"""
+    
+    # A alone defines 18-58; both define 20-34; B defines 59-6 where A has 59;
+    # A brings 1 and B brings 8
+    GATES_A = [20, 34, 18, 58, 59, 1]
+    GATES_B = [20, 34, 59, 6, 8]
+    EXPECTED = {
+        (20, 34): hd.ConnectionType.COMPANIONSHIP,
+        (18, 58): hd.ConnectionType.DOMINANCE,
+        (6, 59): hd.ConnectionType.COMPROMISE,
+        (1, 8): hd.ConnectionType.ELECTROMAGNETIC,
+    }
+    
+    @classmethod
+    def setUpClass(cls):
+        cls.report = hd.CompositeAnalyzer.analyze(chart_from_gates(cls.GATES_A),
+                                                  chart_from_gates(cls.GATES_B), ("Ada", "Ben"))
+    
+    def test_every_connection_type(self):
+        classified = {tuple(sorted(entry["channel"])): hd.ConnectionType(entry["connection"])
+                      for entry in self.report["channels"]}
+        self.assertEqual(classified, self.EXPECTED)
+        self.assertEqual(self.report["connection_counts"],
+                         {connection.value: 1 for connection in hd.ConnectionType})
+    
+    def test_each_persons_gates(self):
+        by_channel = {tuple(sorted(entry["channel"])): entry for entry in self.report["channels"]}
+        self.assertEqual(sorted(by_channel[(6, 59)]["person_a"]), [59])
+        self.assertEqual(sorted(by_channel[(6, 59)]["person_b"]), [6, 59])
+        self.assertEqual(by_channel[(18, 58)]["person_b"], [])
+        self.assertEqual(by_channel[(1, 8)]["person_a"], [1])
+        self.assertEqual(by_channel[(1, 8)]["person_b"], [8])
+    
+    def test_composite_only_centers(self):
+        # Only the electromagnetic 1-8 reaches the G Center
+        self.assertEqual(self.report["composite_only_centers"], ["g_center"])
+    
+    def test_classify_channel(self):
+        for channel, connection in self.EXPECTED.items():
+            with self.subTest(channel=channel):
+                self.assertEqual(hd.CompositeAnalyzer.classify_channel(channel, self.GATES_A, self.GATES_B),
+                                 connection)
+        # One gate between them is not a connection
+        self.assertIsNone(hd.CompositeAnalyzer.classify_channel((10, 57), [10], []))
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,48 @@
+"""Design moment: the Sun 88° of arc before birth"""
+
+import datetime
+import unittest
+
+from support import hdchart
+
+hd = hdchart()
+
+def arc(a: float, b: float) -> float:
+    return (a - b) % 360
+
+class DesignTimeTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.calculator = hd.HumanDesignCalculator()
+    
+    def chart(self, month: int):
+        return self.calculator.calculate_chart(datetime.datetime(1990, month, 15, 12, 0),
+                                               0.0, 0.0, hd.ZodiacSystem.TROPICAL)
+    
+    def test_sun_is_88_degrees_behind(self):
+        for month in (1, 4, 7, 10):
+            with self.subTest(month=month):
+                chart = self.chart(month)
+                self.assertAlmostEqual(
+                    arc(chart.personality_sun.longitude, chart.design_sun.longitude),
+                    88.0, delta=chart.design_tolerance
+                )
+    
+    def test_design_datetime_matches_julian_day(self):
+        chart = self.chart(6)
+        self.assertEqual(chart.design_tolerance, self.calculator.DESIGN_TOLERANCE)
+        self.assertAlmostEqual(
+            self.calculator.ephemeris.datetime_to_julian_day(chart.design_datetime),
+            chart.design_julian_day, delta=1 / 86400  # Whole seconds
+        )
+    
+    def test_interval_follows_solar_speed(self):
+        # The Sun moves fastest in early January, so the 88° before a February birth
+        # take about 86.6 days and those before an August birth about 92
+        def days(month):
+            chart = self.chart(month)
+            return (chart.birth_datetime - chart.design_datetime.replace(tzinfo=None)).total_seconds() / 86400
+        self.assertGreater(days(8) - days(2), 5)
+
+if __name__ == "__main__":
+    unittest.main()
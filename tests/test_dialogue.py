@@ -0,0 +1,226 @@
+"""Field Friend dialogue: memory, bonding, recall and backends"""
+
+import datetime
+import http.server
+import json
+import os
+import tempfile
+import threading
+import unittest
+
+from support import cynthia
+
+cc = cynthia()
+
+DAY = datetime.datetime(2024, 3, 1, 9, 0, tzinfo=datetime.timezone.utc)
+
+def make_friend():
+    trinity = cc.TrinityPoint(13, 4, 2, 3, 1)
+    return cc.FieldFriendFactory().generate_field_friend(
+        trinity, cc.FieldSentenceEngine().generate_field_sentence(trinity)
+    )
+
+class RecordingBackend(cc.DialogueBackend):
+    """Remembers the contexts it was given"""
+    
+    name = "recording"
+    
+    def __init__(self):
+        self.contexts = []
+    
+    def reply(self, context):
+        self.contexts.append(context)
+        return "noted"
+
+class DialogueMemoryTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.roster = cc.FriendRoster()
+        self.friend = self.roster.add("ada", make_friend()).friend
+        self.engine = cc.DialogueEngine(self.roster)
+    
+    def chat(self, messages, now):
+        for minute, message in enumerate(messages):
+            self.engine.send("ada", self.friend.id, message, now=now + datetime.timedelta(minutes=minute))
+    
+    def test_chat_bond_is_capped_per_day(self):
+        self.chat([f"Message number {n} about gardening" for n in range(10)], DAY)
+        self.assertEqual(self.friend.bonding_level, 1 + self.engine.CHAT_BOND_PER_DAY)
+        self.assertEqual(self.friend.evolution_stage, "Nascent")
+        
+        self.chat(["Tomorrow we talk about painting"], DAY + datetime.timedelta(days=1))
+        self.assertEqual(self.friend.bonding_level, 1 + 2 * self.engine.CHAT_BOND_PER_DAY)
+    
+    def test_day_is_remembered_as_one_summary(self):
+        self.chat(["My garden needs watering", "The tomatoes keep splitting"], DAY)
+        self.assertEqual(self.friend.memory_fragments,
+                         ["Chatted on 2024-03-01 about watering, garden, splitting, tomatoes"])
+    
+    def test_unremembered_message_leaves_no_trace(self):
+        self.engine.send("ada", self.friend.id, "Just between us", remember=False, now=DAY)
+        self.assertEqual((self.friend.bonding_level, self.friend.memory_fragments), (1, []))
+    
+    def test_day_continues_after_restart(self):
+        handle, path = tempfile.mkstemp(suffix=".db")
+        os.close(handle)
+        self.addCleanup(os.remove, path)
+        
+        store = cc.CynthiaStore(path)
+        roster = cc.FriendRoster(store)
+        friend_id = roster.add("ada", make_friend()).friend.id
+        cc.DialogueEngine(roster).send("ada", friend_id, "My garden needs watering", now=DAY)
+        store.close()
+        
+        store = cc.CynthiaStore(path)
+        self.addCleanup(store.close)
+        roster = cc.FriendRoster(store)
+        later = DAY + datetime.timedelta(hours=3)
+        cc.DialogueEngine(roster).send("ada", friend_id, "The tomatoes keep splitting", now=later)
+        
+        friend = roster.get("ada", friend_id).friend
+        self.assertEqual(friend.bonding_level, 1 + cc.DialogueEngine.CHAT_BOND_PER_DAY)
+        self.assertEqual(friend.memory_fragments,
+                         ["Chatted on 2024-03-01 about watering, garden, splitting, tomatoes"])
+    
+    def test_message_without_topics(self):
+        self.chat(["Hi", "Yes"], DAY)
+        self.assertEqual(self.friend.memory_fragments, ["Chatted on 2024-03-01 about nothing in particular"])
+        self.chat(["Gardening"], DAY)
+        self.assertEqual(self.friend.memory_fragments, ["Chatted on 2024-03-01 about gardening"])
+
+class RecallTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.roster = cc.FriendRoster()
+        self.friend = self.roster.add("ada", make_friend()).friend
+        self.backend = RecordingBackend()
+        self.engine = cc.DialogueEngine(self.roster, self.backend)
+    
+    def test_recall_ranks_by_shared_words(self):
+        self.friend.bonding_level = cc.DialogueEngine.RECALL_BOND
+        self.friend.memory_fragments = [
+            "Planted tomatoes in the garden",
+            "Painted the garden fence",
+            "Talked about tomatoes and garden soil",
+            "Finished a novel",
+            "Chatted on 2024-03-01 about garden",
+        ]
+        recalled = self.engine._recall(self.friend, "How are the garden tomatoes?")
+        
+        # Two shared words beat one; newer fragments first on ties; at most MAX_RECALLED
+        self.assertEqual(recalled, ["Talked about tomatoes and garden soil",
+                                    "Planted tomatoes in the garden",
+                                    "Chatted on 2024-03-01 about garden"])
+        self.assertEqual(self.engine._recall(self.friend, "Nothing shared here"), [])
+    
+    def test_message_is_not_recalled_as_itself(self):
+        self.friend.bonding_level = cc.DialogueEngine.RECALL_BOND
+        self.friend.memory_fragments = ["Garden tomatoes"]
+        self.assertEqual(self.engine._recall(self.friend, "garden tomatoes"), [])
+    
+    def test_memories_shared_from_recall_bond(self):
+        self.friend.memory_fragments = ["Planted tomatoes in the garden"]
+        for bond in range(1, cc.DialogueEngine.RECALL_BOND + 1):
+            self.friend.bonding_level = bond
+            self.engine.send("ada", self.friend.id, "The garden again", remember=False)
+        
+        shared = [bool(context.memories) for context in self.backend.contexts]
+        self.assertEqual(shared, [False] * (cc.DialogueEngine.RECALL_BOND - 1) + [True])
+
+class TemplateBackendTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.backend = cc.TemplateDialogueBackend()
+        self.friend = make_friend()
+    
+    def context(self, message, memories=()):
+        return cc.DialogueContext("ada", self.friend, self.friend.name, message, list(memories))
+    
+    def test_same_state_same_reply(self):
+        first = self.backend.reply(self.context("Tell me about my garden"))
+        self.assertEqual(self.backend.reply(self.context("Tell me about my garden")), first)
+        self.assertEqual(cc.TemplateDialogueBackend().reply(self.context("Tell me about my garden")), first)
+        self.assertIn("“garden”", first)
+    
+    def test_reply_changes_with_state(self):
+        replies = set()
+        for bond in range(1, 11):
+            self.friend.bonding_level = bond
+            replies.add(self.backend.reply(self.context("Tell me about my garden")))
+        self.assertGreater(len(replies), 1)
+    
+    def test_memories_are_quoted_as_they_are(self):
+        for memory in ["Chatted on 2024-03-01 about garden, tomatoes",
+                       "Born from the channel fusion of Vessa and Orin"]:
+            with self.subTest(memory=memory):
+                reply = self.backend.reply(self.context("The garden", [memory]))
+                self.assertIn(f"One memory comes back to me: “{memory}”", reply)
+                self.assertNotIn("You once told me", reply)
+
+class ReplyHandler(http.server.BaseHTTPRequestHandler):
+    """Chat endpoint whose answer the test sets on the server"""
+    
+    def do_POST(self):
+        self.server.requests.append(json.loads(self.rfile.read(int(self.headers["Content-Length"]))))
+        body = self.server.body.encode("utf-8")
+        self.send_response(200)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+    
+    def log_message(self, *args):
+        pass
+
+class LocalModelBackendTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.server = http.server.HTTPServer(("127.0.0.1", 0), ReplyHandler)
+        self.server.requests = []
+        self.server.body = json.dumps({"choices": [{"message": {"content": " Hello from the model "}}]})
+        thread = threading.Thread(target=self.server.serve_forever, daemon=True)
+        thread.start()
+        self.addCleanup(thread.join, 5)
+        self.addCleanup(self.server.server_close)
+        self.addCleanup(self.server.shutdown)
+        self.url = f"http://127.0.0.1:{self.server.server_address[1]}/v1/chat/completions"
+        
+        self.roster = cc.FriendRoster()
+        self.friend = self.roster.add("ada", make_friend()).friend
+    
+    def closed_url(self):
+        # A port that was just free: nothing listens there
+        probe = http.server.HTTPServer(("127.0.0.1", 0), ReplyHandler)
+        port = probe.server_address[1]
+        probe.server_close()
+        return f"http://127.0.0.1:{port}/v1/chat/completions"
+    
+    def test_reply_from_server(self):
+        engine = cc.DialogueEngine(self.roster, cc.LocalModelBackend(self.url, timeout=5))
+        answer = engine.send("ada", self.friend.id, "Hello?", now=DAY)
+        
+        self.assertEqual((answer.reply, answer.backend), ("Hello from the model", "local-model"))
+        (request,) = self.server.requests
+        self.assertEqual(request["temperature"], 0)
+        self.assertEqual([message["role"] for message in request["messages"]], ["system", "user"])
+        self.assertIn(self.friend.name, request["messages"][0]["content"])
+    
+    def test_fallback_when_server_is_down(self):
+        template = cc.TemplateDialogueBackend()
+        backend = cc.LocalModelBackend(self.closed_url(), timeout=5, fallback=template)
+        context = cc.DialogueContext("ada", self.friend, self.friend.name, "Hello?", [])
+        self.assertEqual(backend.reply(context), template.reply(context))
+    
+    def test_dialogue_error_without_fallback(self):
+        for url, body in [(self.closed_url(), None), (self.url, "{\"choices\": []}"), (self.url, "not json")]:
+            with self.subTest(body=body):
+                if body is not None:
+                    self.server.body = body
+                engine = cc.DialogueEngine(self.roster, cc.LocalModelBackend(url, timeout=5))
+                with self.assertRaises(cc.DialogueError):
+                    engine.send("ada", self.friend.id, "Hello?", now=DAY)
+                # A failed reply is not remembered
+                self.assertEqual((self.friend.bonding_level, self.friend.memory_fragments), (1, []))
+
+if __name__ == "__main__":
+    unittest.main()
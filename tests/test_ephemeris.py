@@ -0,0 +1,141 @@
+"""AnalyticalEphemeris against published reference positions"""
+
+import unittest
+
+from support import hdchart
+
+hd = hdchart()
+
+# Apparent positions from Meeus, Astronomical Algorithms (2nd ed.)
+# (example, Julian Ephemeris Day (TT), planet, longitude °, latitude °)
+MEEUS_POSITIONS = [
+    ("25.a Sun 1992-10-13 0h TT", 2448908.5, hd.Planet.SUN, 199.90895, 0.0),
+    ("47.a Moon 1992-04-12 0h TT", 2448724.5, hd.Planet.MOON, 133.167265, -3.229126),
+    ("33.a Venus 1992-12-20 0h TT", 2448976.5, hd.Planet.VENUS, 313.08102, -2.08474),
+]
+
+# Meeus example 47.a: mean ascending node at 1992-04-12 0h TT
+MEEUS_MEAN_NODE = (2448724.5, 274.400656)
+
+# Apparent geocentric positions (true ecliptic of date, light time and aberration
+# applied) from Astronomy Engine 2.1.19, a VSOP87/TOP2013 ephemeris verified
+# against JPL Horizons to under 1 arcminute
+# (UTC, Julian Day (UT), planet, longitude °, latitude °)
+REFERENCE_POSITIONS = [
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.SUN,       44.37632,  -0.00004),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.MOON,     339.11559,   5.20385),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.MERCURY,   61.75124,   2.08476),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.VENUS,     85.06941,   2.23809),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.MARS,     348.02944,  -1.52596),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.JUPITER,   11.26809,  -1.11621),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.SATURN,   104.31524,  -0.14720),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.URANUS,   209.84341,   0.56143),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.NEPTUNE,  251.11814,   1.60141),
+    ("1975-05-05 12:00", 2442538.000000, hd.Planet.PLUTO,    186.95006,  17.24588),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.SUN,      280.36864,   0.00000),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.MOON,     223.32389,   5.17079),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.MERCURY,  271.88891,  -0.99507),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.VENUS,    241.56523,   2.06600),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.MARS,     327.96390,  -1.06808),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.JUPITER,   25.25420,  -1.26045),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.SATURN,    40.39612,  -2.44481),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.URANUS,   314.80610,  -0.65966),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.NEPTUNE,  303.19544,   0.23715),
+    ("2000-01-01 12:00", 2451545.000000, hd.Planet.PLUTO,    251.45474,  10.85521),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.SUN,      341.26589,   0.00006),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.MOON,     225.05411,  -2.53797),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.MERCURY,  343.03630,  -1.66897),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.VENUS,    316.95728,  -0.71881),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.MARS,     313.20766,  -1.06551),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.JUPITER,   41.37719,  -0.91397),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.SATURN,   339.95776,  -1.62341),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.URANUS,    49.58987,  -0.28193),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.NEPTUNE,  356.75758,  -1.21362),
+    ("2024-03-01 09:00", 2460370.875000, hd.Planet.PLUTO,    301.22562,  -2.86502),
+]
+
+# Moon crossing the ecliptic (Astronomy Engine SearchMoonNode): at that instant the
+# true node lies at the Moon's longitude, or opposite it at a descending crossing
+# (UTC, Julian Day (UT), true North Node longitude °)
+TRUE_NODE_CROSSINGS = [
+    ("1990-01-13 02:20 descending", 2447904.597728, 316.53482),
+    ("1990-01-27 12:58 ascending", 2447919.040782, 316.45004),
+    ("1990-02-09 11:27 descending", 2447931.977294, 316.49512),
+    ("2024-01-04 18:52 descending", 2460314.286349,  20.95352),
+    ("2024-01-17 14:03 ascending", 2460327.085766,  19.56880),
+    ("2024-01-31 20:17 descending", 2460341.345316,  17.85117),
+]
+
+# Allowed error in degrees, per body. Jupiter and Saturn come from Keplerian
+# elements without their mutual perturbations and drift by up to 6' and 10'.
+TOLERANCE = {
+    hd.Planet.SUN: 0.02,
+    hd.Planet.MOON: 0.01,
+    hd.Planet.MERCURY: 0.02,
+    hd.Planet.VENUS: 0.05,
+    hd.Planet.MARS: 0.03,
+    hd.Planet.JUPITER: 0.12,
+    hd.Planet.SATURN: 0.2,
+    hd.Planet.URANUS: 0.04,
+    hd.Planet.NEPTUNE: 0.03,
+    hd.Planet.PLUTO: 0.03,
+    hd.Planet.NORTH_NODE: 0.25,  # Truncated periodic terms of the osculating node
+}
+
+def angular_error(a: float, b: float) -> float:
+    return abs(((a - b + 180) % 360) - 180)
+
+class ReferencePositionTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.ephemeris = hd.AnalyticalEphemeris()
+    
+    def to_ut(self, jde: float) -> float:
+        return jde - self.ephemeris.delta_t_seconds(jde) / 86400.0
+    
+    def assertPosition(self, planet, jd_ut: float, longitude: float, latitude: float):
+        position = self.ephemeris.calculate_planetary_position(planet, jd_ut, 0.0, 0.0)
+        self.assertLessEqual(angular_error(position["longitude"], longitude), TOLERANCE[planet])
+        self.assertLessEqual(abs(position["latitude"] - latitude), TOLERANCE[planet])
+    
+    def test_meeus_examples(self):
+        for label, jde, planet, longitude, latitude in MEEUS_POSITIONS:
+            with self.subTest(label):
+                # The ephemeris takes UT; the references are given in TT
+                self.assertPosition(planet, self.to_ut(jde), longitude, latitude)
+    
+    def test_reference_positions(self):
+        for label, jd_ut, planet, longitude, latitude in REFERENCE_POSITIONS:
+            with self.subTest(f"{planet.name} {label}"):
+                self.assertPosition(planet, jd_ut, longitude, latitude)
+    
+    def test_every_activation_body_is_checked(self):
+        checked = {planet for _, _, planet, _, _ in REFERENCE_POSITIONS}
+        derived = {hd.Planet.EARTH, hd.Planet.NORTH_NODE, hd.Planet.SOUTH_NODE}
+        self.assertEqual(set(hd.HD_ACTIVATION_PLANETS) - checked, derived)
+    
+    def test_earth_opposes_sun(self):
+        for _, jd_ut, planet, longitude, _ in REFERENCE_POSITIONS:
+            if planet == hd.Planet.SUN:
+                earth = self.ephemeris.calculate_planetary_position(hd.Planet.EARTH, jd_ut, 0.0, 0.0)
+                self.assertLessEqual(angular_error(earth["longitude"], longitude + 180),
+                                     TOLERANCE[hd.Planet.SUN])
+    
+    def test_true_node(self):
+        for label, jd_ut, longitude in TRUE_NODE_CROSSINGS:
+            with self.subTest(label):
+                north = self.ephemeris.calculate_planetary_position(hd.Planet.NORTH_NODE, jd_ut, 0.0, 0.0)
+                south = self.ephemeris.calculate_planetary_position(hd.Planet.SOUTH_NODE, jd_ut, 0.0, 0.0)
+                self.assertLessEqual(angular_error(north["longitude"], longitude),
+                                     TOLERANCE[hd.Planet.NORTH_NODE])
+                self.assertAlmostEqual(angular_error(south["longitude"], north["longitude"]), 180, places=9)
+                self.assertLessEqual(angular_error(self.ephemeris.calculate_lunar_node(jd_ut), longitude),
+                                     TOLERANCE[hd.Planet.NORTH_NODE])
+    
+    def test_mean_node(self):
+        jde, longitude = MEEUS_MEAN_NODE
+        self.assertAlmostEqual(self.ephemeris.calculate_lunar_node(self.to_ut(jde), mean=True),
+                               longitude, places=5)
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,57 @@
+"""Field Friend fusion rules"""
+
+import unittest
+
+from support import cynthia, hdchart
+
+hd = hdchart()
+cc = cynthia()
+
+factory = cc.FieldFriendFactory()
+sentences = cc.FieldSentenceEngine()
+
+def friend(gate: int, line: int = 4, color: int = 2, tone: int = 3):
+    trinity = cc.TrinityPoint(gate, line, color, tone, 1)
+    return factory.generate_field_friend(trinity, sentences.generate_field_sentence(trinity))
+
+class FusionRuleTest(unittest.TestCase):
+    
+    def test_programming_partners(self):
+        self.assertEqual(hd.GateWheel.programming_partner(1), 2)
+        self.assertEqual(hd.GateWheel.programming_partner(13), 7)
+        for gate in range(1, 65):
+            self.assertEqual(hd.GateWheel.programming_partner(hd.GateWheel.programming_partner(gate)), gate)
+    
+    def test_bonds(self):
+        self.assertEqual(factory.fusion_bond(friend(13), friend(33)), "channel")
+        self.assertEqual(factory.fusion_bond(friend(13), friend(7)), "programming")
+        self.assertIsNone(factory.fusion_bond(friend(13), friend(19)))
+        self.assertIsNone(factory.fusion_bond(friend(13), friend(33, line=5)))
+    
+    def test_child_name_differs_from_parents(self):
+        parent_a, parent_b = friend(13), friend(33)
+        self.assertEqual(parent_a.name[-2:], parent_b.name[-2:])
+        child = factory.fuse(parent_a, parent_b)
+        self.assertNotIn(child.name, {parent_a.name, parent_b.name})
+
+class RosterFusionTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.roster = cc.FriendRoster(factory=factory)
+        self.parent_a = self.roster.add("ada", friend(13)).friend
+        self.parent_b = self.roster.add("ada", friend(33)).friend
+        self.child = self.roster.fuse("ada", self.parent_a.id, self.parent_b.id).friend
+    
+    def test_child_cannot_fuse_with_parent(self):
+        self.assertEqual((self.child.gate_specialization, self.child.line_resonance), (13, 4))
+        with self.assertRaises(cc.RosterError):
+            self.roster.fuse("ada", self.child.id, self.parent_b.id)
+    
+    def test_grandchild_cannot_fuse_with_grandparent(self):
+        partner = self.roster.add("ada", friend(7, color=5)).friend
+        grandchild = self.roster.fuse("ada", self.child.id, partner.id).friend
+        with self.assertRaises(cc.RosterError):
+            self.roster.fuse("ada", self.parent_b.id, grandchild.id)
+
+if __name__ == "__main__":
+    unittest.main()
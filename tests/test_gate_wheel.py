@@ -0,0 +1,57 @@
+"""Conformance: known longitudes pinned to Gate.Line.Color.Tone.Base"""
+
+import unittest
+
+from support import cynthia, hdchart
+
+hd = hdchart()
+cc = cynthia()
+
+# (tropical longitude, "gate.line.color.tone.base")
+CONFORMANCE_CASES = [
+    (0.0, "25.2.6.2.2"),      # Spring equinox
+    (90.0, "15.2.6.2.2"),     # Summer solstice
+    (180.0, "46.2.6.2.2"),    # Autumn equinox
+    (270.0, "10.2.6.2.2"),    # Winter solstice
+    (302.0, "41.1.1.1.1"),    # Start of the wheel, 2° Aquarius
+    (301.999, "60.6.6.6.5"),  # Last base before the wheel restarts
+    (302.9375, "41.2.1.1.1"),
+    (302.15625, "41.1.2.1.1"),  # First color boundary
+    (302.0260417, "41.1.1.2.1"),  # First tone boundary
+    (302.0052084, "41.1.1.1.2"),  # First base boundary
+    (358.25, "25.1.1.1.1"),   # 28°15' Pisces
+    (3.875, "17.1.1.1.1"),    # 3°52'30" Aries
+    (84.4, "12.2.6.3.1"),
+    (-57.999, "41.1.1.1.1"),  # Negative longitudes normalise
+]
+
+class GateWheelConformanceTest(unittest.TestCase):
+    
+    def test_gate_wheel_activation(self):
+        for longitude, expected in CONFORMANCE_CASES:
+            with self.subTest(longitude=longitude):
+                actual = ".".join(str(value) for value in hd.GateWheel.activation(longitude))
+                self.assertEqual(actual, expected)
+    
+    def test_spec1_calculator_matches(self):
+        calculator = cc.SPEC1Calculator()
+        for longitude, expected in CONFORMANCE_CASES:
+            with self.subTest(longitude=longitude):
+                self.assertEqual(str(calculator.calculate_trinity_point(longitude)), expected)
+    
+    def test_latitude_is_deprecated_and_ignored(self):
+        calculator = cc.SPEC1Calculator()
+        with self.assertWarns(DeprecationWarning):
+            point = calculator.calculate_trinity_point(84.4, latitude=1.5)
+        self.assertEqual(str(point), "12.2.6.3.1")
+    
+    def test_activation_range_round_trip(self):
+        for longitude, expected in CONFORMANCE_CASES:
+            with self.subTest(longitude=longitude):
+                start, end = hd.GateWheel.activation_range(*map(int, expected.split(".")))
+                self.assertAlmostEqual(end - start, hd.GateWheel.BASE_DEGREE_SIZE)
+                middle = ".".join(str(value) for value in hd.GateWheel.activation((start + end) / 2))
+                self.assertEqual(middle, expected)
+
+if __name__ == "__main__":
+    unittest.main()
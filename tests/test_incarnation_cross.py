@@ -0,0 +1,45 @@
+"""Incarnation cross naming"""
+
+import datetime
+import unittest
+
+from support import chart_from_gates, hdchart
+
+hd = hdchart()
+
+class IncarnationCrossTest(unittest.TestCase):
+    
+    def test_angles(self):
+        self.assertEqual(hd.IncarnationCross.name(13, 7, 1, 2, "1/3"),
+                         "Right Angle Cross of the Sphinx (13/7 | 1/2)")
+        self.assertEqual(hd.IncarnationCross.name(1, 2, 4, 49, "4/1"),
+                         "Juxtaposition Cross of Self-Expression (1/2 | 4/49)")
+        self.assertEqual(hd.IncarnationCross.name(51, 57, 61, 62, "5/1"),
+                         "Left Angle Cross of the Clarion (51/57 | 61/62)")
+        self.assertEqual(hd.IncarnationCross.name(10, 15, 46, 25, "6/2"),
+                         "Left Angle Cross of Prevention (10/15 | 46/25)")
+    
+    def test_table_covers_192_crosses(self):
+        table = hd.IncarnationCross.CROSS_NAMES
+        self.assertEqual(sorted(table), list(range(1, 65)))
+        self.assertEqual(sum(len(names) for names in table.values()), 192)
+    
+    def test_unknown_profile(self):
+        with self.assertRaises(ValueError):
+            hd.IncarnationCross.angle_for_profile("2/2")
+    
+    def test_chart_cross(self):
+        calculator = hd.HumanDesignCalculator()
+        chart = calculator.calculate_chart(datetime.datetime(1990, 6, 15, 21, 30), 37.7749, -122.4194,
+                                           hd.ZodiacSystem.TROPICAL)
+        # Sun in gate 12, Earth in 11; Design Sun in 36, Earth in 6; profile 3/5
+        self.assertEqual(chart.profile, "3/5")
+        self.assertEqual(chart.incarnation_cross, "Right Angle Cross of Eden (12/11 | 36/6)")
+    
+    def test_nonstandard_profile_leaves_cross_blank(self):
+        chart = chart_from_gates([13, 7])  # Every activation on line 1: profile 1/1
+        self.assertEqual(chart.profile, "1/1")
+        self.assertEqual(chart.incarnation_cross, "")
+
+if __name__ == "__main__":
+    unittest.main()
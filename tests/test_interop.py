@@ -0,0 +1,163 @@
+"""Gate list, CSV and AAF import/export"""
+
+import datetime
+import unittest
+
+from support import cynthia, hdchart
+
+cc = cynthia()
+hd = hdchart()
+
+# Ulm keeps local mean time (UTC+0:40) in 1879; the Julian Day is 10:31 UTC
+ULM_RECORD = ("#A93:Test,Ulm,*,14.03.1879g,11:11,Ulm,D\n"
+              "#B93:2407422.938194,48n24,9e59,0he40,0\n")
+
+BIRTH = cc.BirthData(year=1990, month=6, day=15, hour=14, minute=30,
+                     latitude=37.7749, longitude=-122.4194, timezone="America/Los_Angeles")
+
+def activations(chart, depth=5):
+    """(layer, planet) -> Gate.Line.Color.Tone.Base tuple cut to depth"""
+    result = {}
+    for layer in cc.ChartInterop.LAYERS:
+        for planet in hd.HD_ACTIVATION_PLANETS:
+            pos = getattr(chart, f"{layer}_{planet.name.lower()}")
+            result[(layer, planet)] = (pos.gate, pos.line, pos.color, pos.tone, pos.base)[:depth]
+    return result
+
+def replace_line(text, line_number, new_line):
+    lines = text.splitlines()
+    lines[line_number - 1] = new_line
+    return "\n".join(lines) + "\n"
+
+class InteropTestCase(unittest.TestCase):
+    
+    @classmethod
+    def setUpClass(cls):
+        cls.interop = cc.ChartInterop()
+        cls.chart = hd.HumanDesignCalculator().calculate_chart(
+            BIRTH.utc_datetime, BIRTH.latitude, BIRTH.longitude, hd.ZodiacSystem.TROPICAL
+        )
+    
+    def assertInteropError(self, line_number, parse, text):
+        with self.assertRaises(cc.InteropError) as caught:
+            parse(text, BIRTH)
+        self.assertEqual(caught.exception.line_number, line_number)
+        self.assertTrue(str(caught.exception).startswith(f"line {line_number}: "))
+
+class GateListTest(InteropTestCase):
+    
+    def test_round_trip(self):
+        for precision in (2, 5):
+            with self.subTest(precision=precision):
+                text = self.interop.export_gate_list(self.chart, precision)
+                imported = self.interop.import_gate_list(text, BIRTH)
+                self.assertEqual(activations(imported, precision), activations(self.chart, precision))
+                self.assertEqual((imported.hd_type, imported.authority, imported.profile),
+                                 (self.chart.hd_type, self.chart.authority, self.chart.profile))
+    
+    def test_format(self):
+        lines = self.interop.export_gate_list(self.chart, 2).splitlines()
+        self.assertEqual(lines[0], "# Human Design activations (tropical)")
+        self.assertEqual(len(lines), 27)
+        sun = self.chart.personality_sun
+        self.assertEqual(lines[1], f"Personality Sun: {sun.gate}.{sun.line}")
+        with self.assertRaises(ValueError):
+            self.interop.export_gate_list(self.chart, 6)
+    
+    def test_malformed_lines(self):
+        # Line 1 is the comment header, so line 2 is the personality Sun
+        text = self.interop.export_gate_list(self.chart)
+        for line_number, bad_line in [
+            (2, "Personality Sun 41"),
+            (4, "Personality Chiron: 41.1"),
+            (6, "Design Sun: 65.1"),
+            (8, "Personality Mars: 41.7"),
+        ]:
+            with self.subTest(bad_line=bad_line):
+                self.assertInteropError(line_number, self.interop.import_gate_list,
+                                        replace_line(text, line_number, bad_line))
+    
+    def test_duplicate_and_missing_activations(self):
+        text = self.interop.export_gate_list(self.chart)
+        lines = text.splitlines()
+        
+        # Line 3 repeats line 2's planet
+        duplicate = replace_line(text, 3, lines[1])
+        self.assertInteropError(3, self.interop.import_gate_list, duplicate)
+        
+        # A dropped activation is reported at the last line
+        truncated = "\n".join(lines[:-1]) + "\n"
+        with self.assertRaises(cc.InteropError) as caught:
+            self.interop.import_gate_list(truncated, BIRTH)
+        self.assertEqual(caught.exception.line_number, 26)
+        self.assertIn("design pluto", str(caught.exception))
+
+class CsvTest(InteropTestCase):
+    
+    def test_round_trip(self):
+        imported = self.interop.import_csv(self.interop.export_csv(self.chart), BIRTH)
+        self.assertEqual(activations(imported), activations(self.chart))
+        self.assertAlmostEqual(imported.personality_moon.longitude,
+                               self.chart.personality_moon.longitude, places=6)
+        self.assertAlmostEqual(imported.design_mars.speed, self.chart.design_mars.speed, places=6)
+    
+    def test_gate_columns_only(self):
+        rows = ["layer,planet,gate,line"]
+        for (layer, planet), values in activations(self.chart, 2).items():
+            rows.append(f"{layer},{planet.name.lower()},{values[0]},{values[1]}")
+        imported = self.interop.import_csv("\n".join(rows), BIRTH)
+        self.assertEqual(activations(imported, 2), activations(self.chart, 2))
+    
+    def test_malformed_header(self):
+        for text in ["", "planet,longitude\n", "layer,planet,color\n"]:
+            with self.subTest(text=text):
+                self.assertInteropError(1, self.interop.import_csv, text)
+    
+    def test_malformed_rows(self):
+        # Line 1 is the header, so line 2 is the personality Sun
+        text = self.interop.export_csv(self.chart)
+        sun = text.splitlines()[1].split(",")
+        wrong_gate = sun[:6] + [str(int(sun[6]) % 64 + 1)] + sun[7:]
+        for line_number, bad_line in [
+            (2, ",".join(sun[:5])),
+            (3, "mind,sun" + ",".join([""] * 10)),
+            (4, "personality,chiron" + text.splitlines()[3][len("personality,moon"):]),
+            (5, ",".join(["personality", "north_node", "abc"] + sun[3:])),
+            (6, ",".join(["personality", "south_node", "361"] + sun[3:6] + [""] * 5)),
+            (2, ",".join(wrong_gate)),
+        ]:
+            with self.subTest(bad_line=bad_line):
+                self.assertInteropError(line_number, self.interop.import_csv,
+                                        replace_line(text, line_number, bad_line))
+
+class AAFTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.interop = cc.ChartInterop()
+    
+    def test_imports_astrodienst_offset(self):
+        (record,) = self.interop.import_aaf(ULM_RECORD)
+        self.assertEqual(record.utc_datetime,
+                         datetime.datetime(1879, 3, 14, 10, 31, tzinfo=datetime.timezone.utc))
+    
+    def test_reads_legacy_offset(self):
+        (record,) = self.interop.import_aaf(ULM_RECORD.replace("0he40", "0h40e"))
+        self.assertEqual(record.utc_datetime.hour, 10)
+    
+    def test_exports_west_offset(self):
+        data = cc.BirthData(year=1990, month=1, day=15, hour=9, minute=0,
+                            latitude=37.77, longitude=-122.42, timezone="America/Los_Angeles")
+        fields = self.interop.export_aaf(data).splitlines()[1].split(",")
+        self.assertEqual(fields[3:], ["8hw00", "0"])
+    
+    def test_half_hour_dst_round_trip(self):
+        data = cc.BirthData(year=2020, month=1, day=10, hour=18, minute=45,
+                            latitude=-31.55, longitude=159.08, timezone="Australia/Lord_Howe")
+        text = self.interop.export_aaf(data)
+        fields = text.splitlines()[1].split(",")
+        self.assertEqual(fields[3:], ["10he30", "0.5"])
+        (record,) = self.interop.import_aaf(text)
+        self.assertEqual(record.utc_datetime, data.utc_datetime)
+
+if __name__ == "__main__":
+    unittest.main()
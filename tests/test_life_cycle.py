@@ -0,0 +1,72 @@
+"""Chiron accuracy and life-cycle placement"""
+
+import datetime
+import unittest
+
+from support import cynthia, hdchart
+
+hd = hdchart()
+cc = cynthia()
+
+# Chiron crossing the longitudes its returns are timed against (UTC dates)
+CHIRON_INGRESSES = [
+    ("2010-04-20", "Aquarius", "Pisces"),
+    ("2010-07-20", "Pisces", "Aquarius"),
+    ("2011-02-08", "Aquarius", "Pisces"),
+    ("2018-04-17", "Pisces", "Aries"),
+    ("2018-09-25", "Aries", "Pisces"),
+    ("2019-02-18", "Pisces", "Aries"),
+]
+INGRESS_TOLERANCE_DAYS = 1.5
+
+class ChironReferenceTest(unittest.TestCase):
+    
+    def test_sign_ingresses(self):
+        calendar = hd.TransitCalendar()
+        events = calendar.scan(datetime.datetime(2010, 1, 1), datetime.datetime(2019, 12, 31),
+                               planets=[hd.Planet.CHIRON], event_types=["sign"])
+        self.assertEqual(len(events), len(CHIRON_INGRESSES))
+        
+        for event, (date, from_sign, to_sign) in zip(events, CHIRON_INGRESSES):
+            with self.subTest(date):
+                expected = datetime.datetime.fromisoformat(date + "T12:00+00:00")
+                self.assertEqual((event.from_value, event.to_value), (from_sign, to_sign))
+                self.assertLessEqual(abs((event.moment - expected).total_seconds()) / 86400,
+                                     INGRESS_TOLERANCE_DAYS)
+    
+    def test_return_matches_natal_longitude(self):
+        calculator = hd.HumanDesignCalculator()
+        chart = calculator.calculate_chart(datetime.datetime(1975, 5, 5, 12, 0), 0.0, 0.0,
+                                           hd.ZodiacSystem.TROPICAL)
+        milestones = hd.CycleCalculator(calculator).milestones(chart, cycles=["chiron_return"])
+        self.assertEqual(len(milestones), 1)
+        
+        returned = milestones[0]
+        self.assertTrue(48 < returned.age_years < 53)
+        for moment in returned.passes:
+            jd = calculator.ephemeris.datetime_to_julian_day(moment.replace(tzinfo=None))
+            position = calculator.calculate_zodiac_position(hd.Planet.CHIRON, jd, hd.ZodiacSystem.TROPICAL)
+            error = abs(((position["longitude"] - returned.target_longitude + 180) % 360) - 180)
+            self.assertLess(error, 1e-3)
+
+class LifeCyclePlacementTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.core = cc.CynthiaCore()
+        self.birth = cc.BirthData(year=1990, month=6, day=15, hour=14, minute=30,
+                                  latitude=37.7749, longitude=-122.4194,
+                                  timezone="America/Los_Angeles")
+    
+    def test_chart_does_not_depend_on_today(self):
+        self.assertNotIn("life_cycle", self.core.process_birth_chart(self.birth))
+    
+    def test_reflection_uses_given_moment(self):
+        chart = self.core.process_birth_chart(self.birth)
+        # Saturn returned to its 1990 position in 2019-2020
+        reflection = self.core.generate_cynthia_reflection(
+            "", chart, as_of=datetime.datetime(2020, 1, 1, tzinfo=datetime.timezone.utc)
+        )
+        self.assertIn("1st Saturn Return", reflection)
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,74 @@
+"""True vs mean lunar node across both calculators"""
+
+import datetime
+import unittest
+
+from support import cynthia, hdchart
+
+hd = hdchart()
+cy = cynthia()
+
+# The true node swings about the mean node with a 1.4979° principal term
+# (Meeus, Astronomical Algorithms, ch. 47); the four smaller terms add at most
+# 0.4703°, so the full difference can reach a little under 2°
+PRINCIPAL_AMPLITUDE = 1.4979
+MAX_TRUE_MEAN_DIFFERENCE = PRINCIPAL_AMPLITUDE + 0.1500 + 0.1226 + 0.1176 + 0.0801
+
+def signed_difference(a: float, b: float) -> float:
+    return ((a - b + 180) % 360) - 180
+
+class NodeModelTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.ephemeris = hd.AnalyticalEphemeris()
+    
+    def test_true_mean_difference_in_range(self):
+        # Every 5 days over two nodal cycles (~37 years)
+        start = 2444239.5  # 1980-01-01
+        differences = []
+        for step in range(0, 13600, 5):
+            jd = start + step
+            true = self.ephemeris.calculate_lunar_node(jd)
+            mean = self.ephemeris.calculate_lunar_node(jd, mean=True)
+            differences.append(signed_difference(true, mean))
+        self.assertLessEqual(max(abs(d) for d in differences), MAX_TRUE_MEAN_DIFFERENCE)
+        # Both signs occur at about the principal amplitude
+        self.assertLess(min(differences), -PRINCIPAL_AMPLITUDE)
+        self.assertGreater(max(differences), PRINCIPAL_AMPLITUDE)
+        # ...and on most dates the difference stays inside ±1.5°
+        inside = sum(1 for d in differences if abs(d) <= 1.5)
+        self.assertGreater(inside / len(differences), 0.85)
+    
+    def test_mock_nodes_match_lunar_node(self):
+        mock = hd.MockEphemeris()
+        for jd in (2440000.5, 2451545.0, 2460371.0):
+            north = mock.calculate_planetary_position(hd.Planet.NORTH_NODE, jd, 0.0, 0.0)
+            south = mock.calculate_planetary_position(hd.Planet.SOUTH_NODE, jd, 0.0, 0.0)
+            self.assertAlmostEqual(north["longitude"], mock.calculate_lunar_node(jd))
+            self.assertAlmostEqual(abs(signed_difference(south["longitude"], north["longitude"])), 180)
+    
+    def test_spec1_follows_node_model(self):
+        jd = 2451545.0
+        for model, mean in ((hd.NodeModel.TRUE, False), (hd.NodeModel.MEAN, True)):
+            with self.subTest(model.name):
+                positions = cy.SPEC1Calculator(node_model=model).get_planetary_positions(jd)
+                expected = self.ephemeris.calculate_lunar_node(jd, mean=mean)
+                self.assertAlmostEqual(positions["north_node"]["longitude"], expected, places=9)
+                self.assertAlmostEqual(positions["south_node"]["longitude"], (expected + 180) % 360, places=9)
+    
+    def test_transit_calculator_follows_node_model(self):
+        moment = datetime.datetime(2000, 1, 1, 12, 0)
+        jd = self.ephemeris.datetime_to_julian_day(moment)
+        mean = cy.TransitCalculator(node_model=hd.NodeModel.MEAN)
+        self.assertEqual(mean.calculator.node_model, hd.NodeModel.MEAN)
+        self.assertEqual(mean.chart_calculator.node_model, hd.NodeModel.MEAN)
+        expected = cy.TrinityPoint.from_longitude(self.ephemeris.calculate_lunar_node(jd, mean=True))
+        north = mean.calculate_transits(moment).activations["north_node"]
+        self.assertEqual((north.gate, north.line), (expected.gate, expected.line))
+        
+        # A supplied calculator's model wins for natal charts too
+        shared = cy.TransitCalculator(cy.SPEC1Calculator(node_model=hd.NodeModel.MEAN))
+        self.assertEqual(shared.chart_calculator.node_model, hd.NodeModel.MEAN)
+
+if __name__ == "__main__":
+    unittest.main()
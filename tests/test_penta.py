@@ -0,0 +1,63 @@
+"""PentaAnalyzer group analysis for 3-5 charts"""
+
+import unittest
+
+from support import chart_from_gates, hdchart
+
+hd = hdchart()
+
+# Gate 41 is outside the penta and pads each chart's remaining planets
+MEMBER_GATES = [
+    [41, 1, 7, 13],
+    [41, 8, 31, 5],
+    [41, 33, 15, 2, 14],
+    [41, 46],
+    [41, 29, 1],
+]
+
+class PentaAnalyzerTest(unittest.TestCase):
+    
+    @classmethod
+    def setUpClass(cls):
+        cls.charts = [chart_from_gates(gates) for gates in MEMBER_GATES]
+    
+    def test_three_members_with_a_gap(self):
+        report = hd.PentaAnalyzer.analyze(self.charts[:3], ["Ada", "Ben", "Cy"])
+        
+        self.assertEqual(report["members"], ["Ada", "Ben", "Cy"])
+        self.assertEqual([entry["channel"] for entry in report["filled_channels"]],
+                         [[1, 8], [7, 31], [13, 33], [5, 15], [2, 14]])
+        self.assertEqual(report["missing_gates"], [46, 29])
+        self.assertEqual([(entry["channel"], entry["missing_gates"]) for entry in report["gaps"]],
+                         [([29, 46], [29, 46])])
+        self.assertFalse(report["complete"])
+        self.assertEqual(report["filled_channels"][0]["contributors"], {"1": ["Ada"], "8": ["Ben"]})
+    
+    def test_five_members_complete(self):
+        report = hd.PentaAnalyzer.analyze(self.charts)
+        
+        self.assertTrue(report["complete"])
+        self.assertEqual(report["gaps"], [])
+        self.assertEqual(report["group_gates"], hd.PentaAnalyzer.PENTA_GATES)
+        self.assertEqual(report["penta_gates"]["1"], ["member_1", "member_5"])
+        self.assertEqual(report["penta_gates"]["46"], ["member_4"])
+    
+    def test_four_members_half_filled_channel(self):
+        report = hd.PentaAnalyzer.analyze(self.charts[:4])
+        
+        self.assertEqual([(entry["channel"], entry["missing_gates"]) for entry in report["gaps"]],
+                         [([29, 46], [29])])
+    
+    def test_group_size_limits(self):
+        for count in (2, 6):
+            with self.subTest(count=count):
+                charts = (self.charts * 2)[:count]
+                with self.assertRaises(ValueError):
+                    hd.PentaAnalyzer.analyze(charts)
+    
+    def test_one_name_per_chart(self):
+        with self.assertRaises(ValueError):
+            hd.PentaAnalyzer.analyze(self.charts[:3], ["Ada", "Ben"])
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,99 @@
+"""Printable reports and the PDF table layout"""
+
+import datetime
+import re
+import unittest
+
+from support import cynthia
+
+cc = cynthia()
+
+AS_OF = datetime.datetime(2020, 1, 1, tzinfo=datetime.timezone.utc)
+
+class ReportTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.core = cc.CynthiaCore()
+        self.birth = cc.BirthData(year=1990, month=6, day=15, hour=14, minute=30,
+                                  latitude=37.7749, longitude=-122.4194,
+                                  timezone="America/Los_Angeles")
+    
+    def test_report_records_nothing(self):
+        html = self.core.generate_report(self.birth, as_of=AS_OF)
+        self.assertIn("<html", html)
+        self.assertEqual(self.core.memory_bank, {})
+        self.assertEqual(self.core.roster.list("anonymous"), [])
+        self.assertEqual(self.core.sessions.list("anonymous"), [])
+    
+    def test_reuses_processed_chart(self):
+        chart_result = self.core.process_birth_chart(self.birth)
+        self.core.compute_birth_chart = None  # Must not be called again
+        reused = self.core.generate_report(self.birth, as_of=AS_OF, chart_result=chart_result)
+        self.assertEqual(reused, cc.CynthiaCore().generate_report(self.birth, as_of=AS_OF))
+        self.assertEqual(len(self.core.memory_bank["anonymous"]), 1)
+
+def pdf_objects(data: bytes):
+    """Object number -> body, checked against the xref table"""
+    objects = {int(number): body for number, body in
+               re.findall(rb"(?m)^(\d+) 0 obj\n(.*?)\nendobj", data, re.DOTALL)}
+    xref = data[int(re.search(rb"startxref\n(\d+)", data).group(1)):]
+    offsets = [int(offset) for offset in re.findall(rb"(\d{10}) 00000 n", xref)]
+    for number, offset in enumerate(offsets, start=1):
+        assert data[offset:].startswith(f"{number} 0 obj".encode()), number
+    return objects
+
+def pdf_lines(data: bytes):
+    """(base font, size, x, text) for every text line, in drawing order"""
+    objects = pdf_objects(data)
+    lines = []
+    for body in objects.values():
+        if b"/Type /Page " not in body:
+            continue
+        fonts = dict(re.findall(rb"/(F\d) (\d+) 0 R", body.split(b"/Contents")[0]))
+        content = objects[int(re.search(rb"/Contents (\d+) 0 R", body).group(1))]
+        for font, size, x, text in re.findall(rb"BT /(F\d) ([\d.]+) Tf ([\d.]+) [\d.]+ Td \((.*?)\) Tj ET", content):
+            base_font = re.search(rb"/BaseFont /([\w-]+)", objects[int(fonts[font])]).group(1)
+            lines.append((base_font.decode(), float(size), float(x), text.decode("cp1252")))
+    return lines
+
+class PdfTableTest(unittest.TestCase):
+    
+    COLUMNS = ["Planet", "Gate", "Description"]
+    ROWS = [["Sun", 41, "Fantasy"], ["North Node", 7, "x" * 200]]
+    
+    def setUp(self):
+        pdf = cc.SimplePdfWriter(title="Table")
+        pdf.table(self.COLUMNS, self.ROWS, size=9)
+        self.lines = pdf_lines(pdf.to_bytes())
+    
+    def test_header_and_rows_are_monospaced(self):
+        self.assertEqual([font for font, _, _, _ in self.lines], ["Courier-Bold", "Courier", "Courier"])
+    
+    def test_columns_line_up(self):
+        header, *rows = [text for _, _, _, text in self.lines]
+        self.assertEqual(len({x for _, _, x, _ in self.lines}), 1)
+        
+        # Same character offsets mean the same x positions at Courier's fixed advance
+        starts = [header.index(column) for column in self.COLUMNS]
+        self.assertEqual(starts, [0, len("North Node") + 2, len("North Node") + 2 + len("Gate") + 2])
+        for row, values in zip(rows, self.ROWS):
+            for start, value in zip(starts, values):
+                self.assertTrue(row[start:].startswith(str(value)[:10]), row)
+    
+    def test_table_fits_the_page(self):
+        text_width = cc.SimplePdfWriter.PAGE_WIDTH - 2 * cc.SimplePdfWriter.MARGIN
+        for _, size, x, text in self.lines:
+            self.assertEqual(x, cc.SimplePdfWriter.MARGIN)
+            self.assertLessEqual(len(text) * size * 0.6, text_width)
+        # The long description was cut to fit
+        self.assertLess(len(self.lines[2][3]), 200)
+    
+    def test_report_tables(self):
+        birth = cc.BirthData(year=1990, month=6, day=15, hour=14, minute=30,
+                             latitude=37.7749, longitude=-122.4194, timezone="America/Los_Angeles")
+        data = cc.CynthiaCore().generate_report(birth, output_format="pdf", as_of=AS_OF)
+        fonts = {font for font, _, _, _ in pdf_lines(data)}
+        self.assertEqual(fonts, {"Helvetica", "Helvetica-Bold", "Courier", "Courier-Bold"})
+
+if __name__ == "__main__":
+    unittest.main()
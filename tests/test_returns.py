@@ -0,0 +1,103 @@
+"""Solar and lunar returns and their gate diff against the natal chart"""
+
+import datetime
+import unittest
+
+from support import hdchart
+
+hd = hdchart()
+
+BIRTH = datetime.datetime(1990, 6, 15, 21, 30)
+SAN_FRANCISCO = (37.7749, -122.4194)
+HOUSE_AYANAMSA = hd.AyanamsaModel("House", 2440000.5, 23.5)
+
+def separation(a: float, b: float) -> float:
+    return abs(((a - b + 180) % 360) - 180)
+
+def one_second_of_motion(planet) -> float:
+    """Upper bound on a body's motion in one second (charts are cast to the whole second)"""
+    return 2 * hd.ReturnCalculator.MEAN_DAILY_MOTION[planet] / 86400
+
+class ReturnCalculatorTest(unittest.TestCase):
+    
+    @classmethod
+    def setUpClass(cls):
+        cls.natal = hd.HumanDesignCalculator().calculate_chart(BIRTH, *SAN_FRANCISCO, hd.ZodiacSystem.TROPICAL)
+        cls.returns = hd.ReturnCalculator()
+    
+    def assertReturns(self, planet, natal, returned):
+        """The body is back on its natal longitude at the return instant and in its chart"""
+        natal_longitude = getattr(natal, f"personality_{planet.name.lower()}").longitude
+        exact = self.returns.calculator_for(natal).calculate_zodiac_position(
+            planet, returned.julian_day, natal.zodiac_system
+        )
+        self.assertLessEqual(separation(exact["longitude"], natal_longitude),
+                             hd.ReturnCalculator.RETURN_TOLERANCE)
+        cast = getattr(returned.chart, f"personality_{planet.name.lower()}").longitude
+        self.assertLessEqual(separation(cast, natal_longitude), one_second_of_motion(planet))
+    
+    def test_solar_return(self):
+        solar = self.returns.solar_return(self.natal, 2024)
+        
+        self.assertEqual(solar.return_type, "solar")
+        self.assertEqual((solar.moment.year, solar.moment.month), (2024, 6))
+        self.assertReturns(hd.Planet.SUN, self.natal, solar)
+        self.assertNotIn("sun", solar.planet_changes)
+        self.assertNotIn("earth", solar.planet_changes)
+    
+    def test_lunar_return(self):
+        lunar = self.returns.lunar_return(self.natal, 2024, 3)
+        
+        self.assertEqual(lunar.return_type, "lunar")
+        self.assertEqual((lunar.moment.year, lunar.moment.month), (2024, 3))
+        self.assertReturns(hd.Planet.MOON, self.natal, lunar)
+        # First return in the month: one sidereal month earlier falls in February
+        self.assertLess(lunar.moment.day, 29)
+    
+    def test_relocated_return(self):
+        solar = self.returns.solar_return(self.natal, 2024, latitude=51.5, longitude=-0.1)
+        self.assertEqual(solar.chart.location, {"latitude": 51.5, "longitude": -0.1})
+    
+    def test_natal_gate_diff(self):
+        solar = self.returns.solar_return(self.natal, 2024)
+        natal_gates = set(hd.CompositeAnalyzer.chart_gates(self.natal))
+        return_gates = set(hd.CompositeAnalyzer.chart_gates(solar.chart))
+        
+        self.assertEqual(solar.new_gates, sorted(return_gates - natal_gates))
+        self.assertEqual(solar.shared_gates, sorted(return_gates & natal_gates))
+        self.assertEqual(solar.released_gates, sorted(natal_gates - return_gates))
+        self.assertIn(self.natal.personality_sun.gate, solar.shared_gates)
+        
+        # Slow outer planets barely move while the Moon has moved on
+        self.assertIn("moon", solar.planet_changes)
+        for planet, change in solar.planet_changes.items():
+            before = getattr(self.natal, f"personality_{planet}")
+            after = getattr(solar.chart, f"personality_{planet}")
+            self.assertEqual(change, {"natal": f"{before.gate}.{before.line}",
+                                      "return": f"{after.gate}.{after.line}"})
+    
+    def test_user_sidereal_natal(self):
+        # The default ReturnCalculator has no user ayanamsa; the natal chart's is used
+        natal = hd.HumanDesignCalculator(user_ayanamsa=HOUSE_AYANAMSA).calculate_chart(
+            BIRTH, *SAN_FRANCISCO, hd.ZodiacSystem.SIDEREAL_USER
+        )
+        solar = self.returns.solar_return(natal, 2024)
+        
+        self.assertEqual(solar.chart.user_ayanamsa, HOUSE_AYANAMSA)
+        self.assertReturns(hd.Planet.SUN, natal, solar)
+    
+    def test_node_model_follows_natal(self):
+        natal = hd.HumanDesignCalculator(node_model=hd.NodeModel.MEAN).calculate_chart(
+            BIRTH, *SAN_FRANCISCO, hd.ZodiacSystem.TROPICAL
+        )
+        lunar = self.returns.lunar_return(natal, 2024, 3)
+        
+        self.assertEqual(lunar.chart.node_model, hd.NodeModel.MEAN)
+        mean_node = self.returns.calculator.ephemeris.calculate_lunar_node(lunar.julian_day, mean=True)
+        self.assertAlmostEqual(lunar.chart.personality_north_node.longitude, mean_node, places=5)
+    
+    def test_matching_calculator_is_reused(self):
+        self.assertIs(self.returns.calculator_for(self.natal), self.returns.calculator)
+
+if __name__ == "__main__":
+    unittest.main()
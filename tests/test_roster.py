@@ -0,0 +1,194 @@
+"""Field Friend roster as the one home of each user's friends"""
+
+import json
+import os
+import tempfile
+import unittest
+
+from support import cynthia
+
+cc = cynthia()
+
+BIRTH = cc.BirthData(year=1990, month=6, day=15, hour=14, minute=30,
+                     latitude=37.7749, longitude=-122.4194, timezone="America/Los_Angeles")
+
+class RosterTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.core = cc.CynthiaCore()
+        self.birth = BIRTH
+        self.core.process_birth_chart(self.birth, "ada")
+    
+    def test_context_refers_to_roster_friends(self):
+        friend_id = self.core.active_field_friends("ada")[0].friend.id
+        bond = self.core.roster.get("ada", friend_id).friend.bonding_level
+        self.core.roster.interact("ada", friend_id, "a long walk", bond=5)
+        self.assertEqual(self.core.active_field_friends("ada")[0].friend.bonding_level, bond + 5)
+    
+    def test_repeated_chart_does_not_duplicate_friends(self):
+        count = len(self.core.active_field_friends("ada"))
+        self.core.process_birth_chart(self.birth, "ada")
+        self.assertEqual(len(self.core.active_field_friends("ada")), count)
+    
+    def test_snapshot_holds_ids_only(self):
+        (context,) = self.core.export_state()["sessions"]["contexts"]
+        self.assertEqual(context["friend_ids"],
+                         [entry.friend.id for entry in self.core.active_field_friends("ada")])
+        self.assertNotIn("active_field_friends", context)
+    
+    def test_legacy_snapshot_friends_join_roster(self):
+        friends = [cc.asdict(entry.friend) for entry in self.core.active_field_friends("ada")]
+        legacy = {
+            "memory_bank": {}, "personality_model": {}, "evolution_stage": "Awakening",
+            "consciousness_level": 1.0, "coherence_history": [], "active_field_friends": friends
+        }
+        core = cc.CynthiaCore()
+        core.import_state(legacy)
+        self.assertEqual([entry.friend.id for entry in core.active_field_friends()],
+                         [friend["id"] for friend in friends])
+    
+    def test_exported_state_carries_the_roster(self):
+        first, second = (entry.friend.id for entry in self.core.active_field_friends("ada")[:2])
+        self.core.roster.name("ada", first, "Pip")
+        self.core.roster.interact("ada", second, "a long walk", bond=5)
+        
+        # Through JSON into a core that has never seen Ada
+        core = cc.CynthiaCore()
+        core.import_state(json.loads(json.dumps(self.core.export_state())))
+        self.assertEqual([entry.to_dict() for entry in core.active_field_friends("ada")],
+                         [entry.to_dict() for entry in self.core.active_field_friends("ada")])
+        self.assertEqual(core.roster.get("ada", first).display_name, "Pip")
+
+class RosterActionTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.roster = cc.FriendRoster()
+        self.friends = [
+            self.roster.add("ada", cc.FieldFriend(id=f"ff-{gate}", name=f"Friend {gate}", archetype="Oracle",
+                                                  gate_specialization=gate, line_resonance=1,
+                                                  color_frequency=1))
+            for gate in (1, 2, 3)
+        ]
+    
+    def ids(self, entries):
+        return [entry.friend.id for entry in entries]
+    
+    def test_name(self):
+        entry = self.roster.name("ada", "ff-1", "  Pip  ")
+        self.assertEqual((entry.nickname, entry.display_name), ("Pip", "Pip"))
+        self.roster.name("ada", "ff-1", "")
+        self.assertEqual(self.roster.get("ada", "ff-1").display_name, "Friend 1")
+    
+    def test_name_length_limit(self):
+        limit = cc.FriendRoster.MAX_NICKNAME_LENGTH
+        self.assertEqual(self.roster.name("ada", "ff-1", "x" * limit).display_name, "x" * limit)
+        with self.assertRaises(cc.RosterError):
+            self.roster.name("ada", "ff-1", "y" * (limit + 1))
+        self.assertEqual(self.roster.get("ada", "ff-1").nickname, "x" * limit)
+    
+    def test_unknown_friend(self):
+        with self.assertRaises(cc.FriendNotFoundError):
+            self.roster.name("ada", "ff-9", "Pip")
+        with self.assertRaises(cc.FriendNotFoundError):
+            self.roster.get("ben", "ff-1")
+    
+    def test_favorites_come_first(self):
+        self.roster.favorite("ada", "ff-3")
+        self.assertEqual(self.ids(self.roster.list("ada")), ["ff-3", "ff-1", "ff-2"])
+        self.assertEqual(self.ids(self.roster.list("ada", favorites_only=True)), ["ff-3"])
+        self.roster.favorite("ada", "ff-3", False)
+        self.assertEqual(self.ids(self.roster.list("ada")), ["ff-1", "ff-2", "ff-3"])
+    
+    def test_retire(self):
+        self.roster.favorite("ada", "ff-2")
+        entry = self.roster.retire("ada", "ff-2")
+        
+        # Retiring drops the favorite and hides the friend from the active roster
+        self.assertFalse(entry.favorite)
+        self.assertEqual(self.ids(self.roster.list("ada")), ["ff-1", "ff-3"])
+        self.assertEqual(self.ids(self.roster.list("ada", include_retired=True)), ["ff-1", "ff-2", "ff-3"])
+        
+        # A retired friend cannot be a favorite, talk or fuse
+        with self.assertRaises(cc.RosterError):
+            self.roster.favorite("ada", "ff-2")
+        with self.assertRaises(cc.RosterError):
+            self.roster.interact("ada", "ff-2", "hello")
+        with self.assertRaises(cc.RosterError):
+            self.roster.fuse("ada", "ff-1", "ff-2")
+        # Unfavoriting is always allowed
+        self.roster.favorite("ada", "ff-2", False)
+    
+    def test_subscribers_hear_stage_advances(self):
+        heard = []
+        self.roster.subscribe(heard.append)
+        self.roster.name("ada", "ff-1", "Pip")
+        
+        self.assertEqual(self.roster.interact("ada", "ff-1", "small talk"), [])
+        advances = self.roster.interact("ada", "ff-1", "a long walk", bond=6)
+        
+        self.assertEqual(heard, advances)
+        self.assertEqual([(a.from_stage, a.to_stage, a.bonding_level) for a in heard],
+                         [("Nascent", "Awakening", 8), ("Awakening", "Embodied", 8)])
+        self.assertEqual(heard[0].message, "Pip evolved from Nascent to Awakening")
+        self.assertEqual((heard[0].user_id, heard[0].friend_id), ("ada", "ff-1"))
+
+class RosterStoreTest(unittest.TestCase):
+    
+    def setUp(self):
+        handle, self.path = tempfile.mkstemp(suffix=".db")
+        os.close(handle)
+        self.addCleanup(os.remove, self.path)
+        self.store = cc.CynthiaStore(self.path)
+        self.addCleanup(lambda: self.store.close())  # The store is replaced on restart
+        self.core = cc.CynthiaCore(store=self.store)
+        self.core.process_birth_chart(BIRTH, "ada")
+        self.first, self.second = (entry.friend.id for entry in self.core.active_field_friends("ada")[:2])
+    
+    def restart(self):
+        self.store.close()
+        self.store = cc.CynthiaStore(self.path)
+        return cc.CynthiaCore(store=self.store)
+    
+    def test_roster_reloads_after_restart(self):
+        roster = self.core.roster
+        roster.name("ada", self.first, "Pip")
+        roster.favorite("ada", self.first)
+        roster.retire("ada", self.second)
+        roster.interact("ada", self.first, "a long walk", bond=3)
+        expected = [entry.to_dict() for entry in roster.list("ada", include_retired=True)]
+        
+        restarted = self.restart()
+        self.assertEqual([entry.to_dict() for entry in restarted.roster.list("ada", include_retired=True)],
+                         expected)
+        self.assertEqual(restarted.roster.list("ada")[0].display_name, "Pip")
+        self.assertEqual([record["payload"]["memory"] for record in self.store.records("ada", "interaction")],
+                         ["a long walk"])
+    
+    def test_load_state_rolls_back_friends(self):
+        roster = self.core.roster
+        bond = roster.get("ada", self.first).friend.bonding_level
+        stage = roster.get("ada", self.first).friend.evolution_stage
+        count = len(roster.list("ada"))
+        older = self.core.save_state("before")
+        
+        roster.interact("ada", self.first, "a long walk", bond=9)
+        newcomer = roster.add("ada", cc.FieldFriend(id="ff-new", name="Newcomer", archetype="Oracle",
+                                                    gate_specialization=1, line_resonance=1,
+                                                    color_frequency=1))
+        self.core.save_state("after")
+        
+        self.core.load_state(older)
+        entry = self.core.roster.get("ada", self.first)
+        self.assertEqual((entry.friend.bonding_level, entry.friend.evolution_stage), (bond, stage))
+        self.assertEqual(len(self.core.roster.list("ada")), count)
+        with self.assertRaises(cc.FriendNotFoundError):
+            self.core.roster.get("ada", newcomer.friend.id)
+        
+        # The rollback reached the store too
+        restarted = self.restart()
+        restarted.load_state(older)
+        self.assertEqual(restarted.roster.get("ada", self.first).friend.bonding_level, bond)
+        self.assertEqual(len(self.store.friends("ada")), count)
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,51 @@
+"""Per-user sessions and the context that outlives them"""
+
+import datetime
+import unittest
+
+from support import cynthia
+
+cc = cynthia()
+
+START = datetime.datetime(2024, 1, 1, tzinfo=datetime.timezone.utc)
+LATER = START + datetime.timedelta(days=1)
+
+class SessionTest(unittest.TestCase):
+    
+    def setUp(self):
+        self.manager = cc.SessionManager(ttl_seconds=60)
+        first = self.manager.session_for_user("ada", START)
+        first.context.personality_model["mystical_affinity"] = 4
+        first.context.consciousness_level = 12.0
+        self.first = first
+    
+    def test_expiry_keeps_context(self):
+        second = self.manager.session_for_user("ada", LATER)
+        self.assertNotEqual(second.session_id, self.first.session_id)
+        self.assertTrue(self.first.expired)
+        self.assertEqual(second.context.personality_model["mystical_affinity"], 4)
+        self.assertEqual(second.context.consciousness_level, 12.0)
+    
+    def test_purge_of_expired_sessions_keeps_context(self):
+        self.manager.expire(now=LATER)
+        self.assertEqual(self.manager.purge(), 1)
+        self.assertEqual(self.manager.context("ada").consciousness_level, 12.0)
+    
+    def test_purge_of_user_forgets_context(self):
+        self.manager.purge("ada")
+        self.assertEqual(self.manager.context("ada").consciousness_level, 1.0)
+    
+    def test_restored_idle_snapshot_keeps_context(self):
+        restored = cc.SessionManager.from_dict(self.manager.to_dict())
+        session = restored.session_for_user("ada", LATER)
+        self.assertEqual(session.context.consciousness_level, 12.0)
+    
+    def test_reads_snapshots_with_context_in_each_session(self):
+        data = self.manager.to_dict()
+        (context,) = data.pop("contexts")
+        data["sessions"][0].update(context)
+        restored = cc.SessionManager.from_dict(data)
+        self.assertEqual(restored.session_for_user("ada", LATER).context.consciousness_level, 12.0)
+
+if __name__ == "__main__":
+    unittest.main()
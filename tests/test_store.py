@@ -0,0 +1,160 @@
+"""SQLite persistence, restarts, rollback and schema migration"""
+
+import json
+import os
+import sqlite3
+import tempfile
+import unittest
+from dataclasses import asdict
+
+from support import cynthia
+
+cc = cynthia()
+
+class StoreRestartTest(unittest.TestCase):
+    
+    def setUp(self):
+        handle, self.path = tempfile.mkstemp(suffix=".db")
+        os.close(handle)
+        self.addCleanup(os.remove, self.path)
+    
+    def restart(self):
+        self.store.close()
+        self.store = cc.CynthiaStore(self.path)
+        return cc.CynthiaCore(store=self.store)
+    
+    def test_entries_after_snapshot_survive_restart(self):
+        self.store = cc.CynthiaStore(self.path)
+        core = cc.CynthiaCore(store=self.store)
+        core.generate_cynthia_reflection("first question", user_id="ada")
+        core.save_state()
+        core.generate_cynthia_reflection("second question", user_id="ada")
+        core.journal_entry_analysis("a quiet day", user_id="ada")
+        expected = core.memory_bank
+        
+        restarted = self.restart()
+        self.addCleanup(self.store.close)
+        self.assertEqual(restarted.memory_bank, expected)
+    
+    def test_log_without_snapshot_is_loaded(self):
+        self.store = cc.CynthiaStore(self.path)
+        cc.CynthiaCore(store=self.store).generate_cynthia_reflection("hello", user_id="ada")
+        
+        restarted = self.restart()
+        self.addCleanup(self.store.close)
+        self.assertEqual([entry["payload"]["query"] for entry in restarted.memory_bank["ada"]], ["hello"])
+    
+    def test_load_state_rolls_back_evolution(self):
+        self.store = cc.CynthiaStore(self.path)
+        self.addCleanup(self.store.close)
+        core = cc.CynthiaCore(store=self.store)
+        core.generate_cynthia_reflection("what does my soul want", user_id="ada")
+        first = core.save_state("first")
+        
+        # One more reflection carries Ada past the Evolving threshold
+        core.sessions.context("ada").consciousness_level = 9.95
+        core.generate_cynthia_reflection("measure my spirit with data", user_id="ada")
+        second = core.save_state("second")
+        
+        core.load_state(first)
+        context = core.sessions.context("ada")
+        self.assertEqual(context.evolution_stage, "Awakening")
+        self.assertAlmostEqual(context.consciousness_level, 1.1)
+        self.assertEqual((context.personality_model["mystical_affinity"],
+                          context.personality_model["scientific_affinity"]), (1, 0))
+        # The record log is not rolled back
+        self.assertEqual(len(core.memory_bank["ada"]), 2)
+        
+        core.load_state(second)
+        context = core.sessions.context("ada")
+        self.assertEqual(context.evolution_stage, "Evolving")
+        self.assertEqual((context.personality_model["mystical_affinity"],
+                          context.personality_model["scientific_affinity"]), (2, 2))
+        self.assertEqual([snapshot["label"] for snapshot in core.list_snapshots()], ["first", "second"])
+
+class StoreSchemaTest(unittest.TestCase):
+    
+    # Schema 1, before the friends table
+    V1_SCHEMA = """
+        CREATE TABLE records (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            payload TEXT NOT NULL
+        );
+        CREATE INDEX records_by_user ON records (user_id, kind);
+        CREATE TABLE snapshots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            label TEXT NOT NULL DEFAULT '',
+            created_at TEXT NOT NULL,
+            state TEXT NOT NULL
+        );
+        PRAGMA user_version = 1;
+    """
+    
+    def setUp(self):
+        handle, self.path = tempfile.mkstemp(suffix=".db")
+        os.close(handle)
+        self.addCleanup(os.remove, self.path)
+    
+    def write_file(self, script: str):
+        connection = sqlite3.connect(self.path)
+        connection.executescript(script)
+        connection.commit()
+        connection.close()
+    
+    def user_version(self) -> int:
+        connection = sqlite3.connect(self.path)
+        try:
+            return connection.execute("PRAGMA user_version").fetchone()[0]
+        finally:
+            connection.close()
+    
+    def test_refuses_newer_schema(self):
+        self.write_file(f"PRAGMA user_version = {cc.CynthiaStore.SCHEMA_VERSION + 1};")
+        with self.assertRaises(RuntimeError) as caught:
+            cc.CynthiaStore(self.path)
+        self.assertIn(f"schema {cc.CynthiaStore.SCHEMA_VERSION + 1}", str(caught.exception))
+        # The file is left as it was
+        self.assertEqual(self.user_version(), cc.CynthiaStore.SCHEMA_VERSION + 1)
+    
+    def test_migrates_v1_file(self):
+        friend = cc.FieldFriend(id="ff-1", name="Vessa", archetype="Oracle", gate_specialization=41,
+                                line_resonance=3, color_frequency=2, bonding_level=5,
+                                evolution_stage="Awakening")
+        v1_friend = {key: value for key, value in asdict(friend).items()
+                     if key not in ("parent_ids", "generation")}
+        v1_state = {
+            "memory_bank": {},
+            "personality_model": {"mystical_affinity": 4, "scientific_affinity": 1,
+                                  "empathic_resonance": 0, "analytical_depth": 0},
+            "evolution_stage": "Evolving",
+            "consciousness_level": 12.5,
+            "coherence_history": [7.5],
+            "active_field_friends": [v1_friend],
+        }
+        self.write_file(self.V1_SCHEMA + f"""
+            INSERT INTO records (user_id, kind, created_at, payload)
+            VALUES ('anonymous', 'reflection', '2024-01-01T00:00:00+00:00', '{json.dumps({"query": "hello"})}');
+            INSERT INTO snapshots (label, created_at, state)
+            VALUES ('v1', '2024-01-01T00:00:01+00:00', '{json.dumps(v1_state)}');
+        """)
+        
+        store = cc.CynthiaStore(self.path)
+        self.addCleanup(store.close)
+        self.assertEqual(self.user_version(), 2)
+        
+        core = cc.CynthiaCore(store=store)
+        context = core.sessions.context("anonymous")
+        self.assertEqual((context.evolution_stage, context.consciousness_level), ("Evolving", 12.5))
+        self.assertEqual(context.personality_model["mystical_affinity"], 4)
+        self.assertEqual([entry["payload"]["query"] for entry in core.memory_bank["anonymous"]], ["hello"])
+        
+        # The v1 friend copy moved into the new friends table
+        (owned,) = core.active_field_friends("anonymous")
+        self.assertEqual((owned.friend.name, owned.friend.bonding_level), ("Vessa", 5))
+        self.assertEqual([entry["friend"]["id"] for entry in store.friends("anonymous")], ["ff-1"])
+
+if __name__ == "__main__":
+    unittest.main()
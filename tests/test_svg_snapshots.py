@@ -0,0 +1,66 @@
+"""SVG renderers against golden snapshots (UPDATE_GOLDEN=1 rewrites them)"""
+
+import dataclasses
+import datetime
+import math
+import os
+import re
+import unittest
+
+from support import ROOT, hdchart
+
+hd = hdchart()
+
+GOLDEN_DIR = os.path.join(ROOT, "tests", "golden")
+
+def fixed_chart():
+    # 1990-06-15 14:30 America/Los_Angeles, tropical
+    return hd.HumanDesignCalculator().calculate_chart(
+        datetime.datetime(1990, 6, 15, 21, 30), 37.7749, -122.4194, hd.ZodiacSystem.TROPICAL
+    )
+
+class SvgSnapshotTest(unittest.TestCase):
+    
+    def assertMatchesGolden(self, svg: str, file_name: str):
+        path = os.path.join(GOLDEN_DIR, file_name)
+        if os.environ.get("UPDATE_GOLDEN"):
+            with open(path, "w", encoding="utf-8", newline="") as handle:
+                handle.write(svg)
+        with open(path, encoding="utf-8", newline="") as handle:
+            self.assertEqual(svg, handle.read(), f"{file_name} changed; rerun with UPDATE_GOLDEN=1 if intended")
+    
+    def test_bodygraph(self):
+        renderer = hd.BodygraphRenderer()
+        svg = renderer.render(fixed_chart())
+        self.assertEqual(svg, renderer.render(fixed_chart()))
+        self.assertMatchesGolden(svg, "bodygraph.svg")
+    
+    def test_mandala(self):
+        svg = hd.MandalaRenderer.render(fixed_chart())
+        self.assertEqual(svg, hd.MandalaRenderer.render(fixed_chart()))
+        self.assertMatchesGolden(svg, "mandala.svg")
+    
+    def test_mandala_caps_glyph_stacks(self):
+        # Every body within one degree: stacks must stay inside their ring
+        chart = fixed_chart()
+        for layer in ("personality", "design"):
+            for index, planet in enumerate(hd.HD_ACTIVATION_PLANETS):
+                attribute = f"{layer}_{planet.name.lower()}"
+                setattr(chart, attribute, dataclasses.replace(getattr(chart, attribute), longitude=100 + index * 0.05))
+        svg = hd.MandalaRenderer.render(chart)
+        
+        center = hd.MandalaRenderer.SIZE / 2
+        for layer in ("personality", "design"):
+            group = re.search(rf'<g id="{layer}-planets".*?</g>', svg, re.S).group(0)
+            glyphs = [(float(x), float(y) - 6) for x, y in re.findall(r'<text x="([-\d.]+)" y="([-\d.]+)">', group)]
+            self.assertEqual(len(glyphs), len(hd.HD_ACTIVATION_PLANETS))
+            floor = (hd.MandalaRenderer.PLANET_RADIUS[layer]
+                     - hd.MandalaRenderer.MAX_STACK_DEPTH * hd.MandalaRenderer.GLYPH_STEP)
+            for x, y in glyphs:
+                radius = math.hypot(x - center, y - center)
+                self.assertGreaterEqual(radius, floor - 0.01)
+            gaps = [math.dist(a, b) for i, a in enumerate(glyphs) for b in glyphs[i + 1:]]
+            self.assertGreater(min(gaps), 15)
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,70 @@
+"""TransitCalendar stepping around stations and iCalendar output"""
+
+import datetime
+import unittest
+
+from support import hdchart
+
+hd = hdchart()
+
+BOUNDARY = 302.9375     # Gate 41 line 1 -> line 2
+STATION_JD = 2460000.0
+
+class StationingCalculator:
+    """Saturn that pokes 0.00001° past a line boundary and turns back within a day"""
+    
+    ephemeris = hd.AnalyticalEphemeris()
+    
+    def calculate_zodiac_position(self, planet, julian_day, zodiac_system):
+        offset = julian_day - STATION_JD
+        return {
+            "longitude": BOUNDARY + 1e-5 - 1e-4 * offset ** 2,
+            "latitude": 0.0,
+            "speed": -2e-4 * offset
+        }
+
+class TransitCalendarTest(unittest.TestCase):
+    
+    def test_double_crossing_inside_one_step(self):
+        # Whole-day samples fall at ±0.5 day, both before the boundary
+        calendar = hd.TransitCalendar(StationingCalculator())
+        start = calendar.calculator.ephemeris.julian_day_to_datetime(STATION_JD - 3.5)
+        end = calendar.calculator.ephemeris.julian_day_to_datetime(STATION_JD + 3.5)
+        events = calendar.scan(start, end, planets=[hd.Planet.SATURN])
+        
+        self.assertEqual(
+            [(event.event_type, event.from_value, event.to_value) for event in events],
+            [("line", "41.1", "41.2"), ("station", "direct", "retrograde"), ("line", "41.2", "41.1")]
+        )
+        self.assertAlmostEqual(events[1].julian_day, STATION_JD, places=4)
+    
+    def test_line_only_scan_keeps_gate_boundaries(self):
+        # Without gate events the line changes at 01-05, 01-11 and 01-17 cross into a new gate
+        calendar = hd.TransitCalendar()
+        start, end = datetime.datetime(2024, 1, 1), datetime.datetime(2024, 1, 20)
+        lines = calendar.scan(start, end, planets=[hd.Planet.SUN], event_types=["line"])
+        
+        self.assertEqual(len(lines), 21)
+        gate_changes = [event for event in lines
+                        if event.from_value.split(".")[0] != event.to_value.split(".")[0]]
+        self.assertEqual([event.moment.strftime("%m-%d") for event in gate_changes],
+                         ["01-05", "01-11", "01-17"])
+        
+        # With gate events too, those crossings are reported once, as gate ingresses
+        both = calendar.scan(start, end, planets=[hd.Planet.SUN], event_types=["gate", "line"])
+        self.assertEqual(sum(event.event_type == "line" for event in both), 18)
+        self.assertEqual([event.moment for event in both if event.event_type == "gate"],
+                         [event.moment for event in gate_changes])
+    
+    def test_ics_dtstamp_is_generation_time(self):
+        calendar = hd.TransitCalendar()
+        events = calendar.scan(datetime.datetime(2024, 1, 19), datetime.datetime(2024, 1, 21),
+                               planets=[hd.Planet.SUN], event_types=["sign"])
+        generated = datetime.datetime(2025, 6, 1, 12, 0, tzinfo=datetime.timezone.utc)
+        ics = hd.TransitCalendar.to_ics(events, generated_at=generated)
+        
+        self.assertIn("DTSTAMP:20250601T120000Z\r\n", ics)
+        self.assertIn("DTSTART:20240120T140", ics)     # Sun enters Aquarius 14:0x UTC
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,72 @@
+"""Transit overlay: channels and centers a transit completes in a natal chart"""
+
+import datetime
+import unittest
+
+from support import chart_from_gates, cynthia, hdchart
+
+hd = hdchart()
+cy = cynthia()
+
+MOMENT = datetime.datetime(2024, 3, 1, 9, 0, tzinfo=datetime.timezone.utc)
+
+class FixedTransits:
+    """Stand-in for SPEC1Calculator that puts each planet on a chosen gate"""
+    
+    node_model = hd.NodeModel.TRUE
+    
+    def __init__(self, gates_by_planet):
+        self.gates_by_planet = gates_by_planet
+    
+    def calculate_activations(self, moment_utc, use_sidereal=False):
+        activations = {}
+        for planet, gate in self.gates_by_planet.items():
+            start, _ = hd.GateWheel.activation_range(gate, 1)
+            activations[planet] = cy.TrinityPoint.from_longitude(start + 0.01)
+        return activations
+
+class TransitOverlayTest(unittest.TestCase):
+    
+    def setUp(self):
+        # Natal: 18-58 defines Spleen and Root; 20, 59 and 1 hang open
+        self.natal = chart_from_gates([18, 58, 20, 59, 1])
+    
+    def overlay(self, gates_by_planet):
+        return cy.TransitCalculator(FixedTransits(gates_by_planet)).overlay(self.natal, MOMENT)
+    
+    def test_completed_channels(self):
+        overlay = self.overlay({"sun": 34, "earth": 6, "moon": 61, "mercury": 24})
+        
+        self.assertEqual(overlay.natal_gates, [1, 18, 20, 58, 59])
+        completed = {tuple(sorted(c["channel"])): c for c in overlay.completed_channels}
+        self.assertEqual(set(completed), {(20, 34), (6, 59), (24, 61)})
+        
+        # Half natal, half transit
+        self.assertEqual(completed[(20, 34)]["natal_gates"], [20])
+        self.assertEqual(completed[(20, 34)]["transit_planets"], ["sun"])
+        self.assertEqual(completed[(6, 59)]["name"], hd.Bodygraph.channel_name(6, 59))
+        # Completed by transit planets alone
+        self.assertEqual(completed[(24, 61)]["natal_gates"], [])
+        self.assertEqual(sorted(completed[(24, 61)]["transit_planets"]), ["mercury", "moon"])
+    
+    def test_newly_defined_centers(self):
+        overlay = self.overlay({"sun": 57, "earth": 6, "moon": 8})
+        
+        # 20-57 reaches the natal-defined Spleen, so only its Throat end is new
+        self.assertEqual(overlay.newly_defined_centers, ["throat", "g_center", "solar_plexus", "sacral"])
+        self.assertNotIn("spleen", overlay.newly_defined_centers)
+    
+    def test_natal_channels_are_not_repeated(self):
+        # Transit on gates the natal chart already uses adds nothing
+        overlay = self.overlay({"sun": 18, "earth": 58})
+        self.assertEqual(overlay.completed_channels, [])
+        self.assertEqual(overlay.newly_defined_centers, [])
+    
+    def test_to_dict(self):
+        data = self.overlay({"sun": 34}).to_dict()
+        self.assertEqual([sorted(c["channel"]) for c in data["completed_channels"]], [[20, 34]])
+        self.assertEqual(data["newly_defined_centers"], ["throat", "sacral"])
+        self.assertEqual(data["transit"]["gates"], [34])
+
+if __name__ == "__main__":
+    unittest.main()